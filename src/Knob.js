@@ -0,0 +1,319 @@
+import * as PIXI from "pixi.js";
+import gsap from "gsap";
+import { Slider } from "./Slider";
+
+/**
+ * Class that represents a rotary knob. A knob shares the value model and the options of a
+ * slider, but its track is an arc around the knob and the value is shown by a rotating needle.
+ *
+ * @example
+ * // Create the knob
+ * const knob = new Knob({
+ *     min: -50,
+ *     max: 50,
+ *     origin: 0,
+ *     onUpdate: (event, knob) => console.log(knob.value)
+ * })
+ *
+ * // Add the knob to a DisplayObject
+ * app.stage.addChild(knob)
+ *
+ * @class
+ * @extends Slider
+ */
+export class Knob extends Slider {
+    /**
+     * Creates an instance of a Knob. Besides the following options, all options of Slider can be used, except
+     * for the ones which only make sense for a straight track (orientation, range, values, ticks).
+     *
+     * @constructor
+     * @param {object} [opts] - An options object to specify to style and behaviour of the knob.
+     * @param {number} [opts.width=64] - The diameter of the knob including the arc.
+     * @param {number} [opts.height=4] - The thickness of the arc.
+     * @param {number} [opts.controlRadius=width / 2 - height - 6] - The radius of the turnable part of the knob.
+     * @param {number} [opts.startAngle=-135] - The angle of the minimum in degrees, measured clockwise from the top.
+     * @param {number} [opts.endAngle=135] - The angle of the maximum in degrees, must be greater than startAngle.
+     * @param {string} [opts.drag=vertical] - How the knob is turned with the pointer: vertical turns it clockwise
+     *     while dragging upwards, circular follows the pointer around the knob.
+     * @param {number} [opts.dragDistance=200] - The distance in pixel to drag vertically from the minimum to the
+     *     maximum.
+     * @param {boolean|object} [opts.wheel=true] - Can the knob be turned with the mouse wheel? See Slider.
+     */
+    constructor(opts = {}) {
+        super(
+            Object.assign(
+                {},
+                {
+                    width: 64,
+                    height: 4,
+                    startAngle: -135,
+                    endAngle: 135,
+                    drag: 'vertical',
+                    dragDistance: 200,
+                    wheel: true
+                },
+                opts,
+                {
+                    range: false,
+                    values: null,
+                    ticks: false
+                }
+            )
+        );
+    }
+
+    /**
+     * Merges the given options with the defaults and validates them. The arc and the default
+     * radius of the turnable part depend on the size of the knob, so they are derived here to
+     * follow changes made with set.
+     *
+     * @private
+     * @param {object} opts - The options as given to the constructor.
+     * @return {Knob} A reference to the knob for chaining.
+     */
+    configure(opts) {
+        const { height, startAngle, endAngle } = opts;
+        // An invalid width keeps the previous one, like in Slider#configure.
+        const width = isFinite(Number(opts.width)) ? Number(opts.width) : this.opts ? this.opts.width : 64;
+
+        // The track of the knob is an arc along its border.
+        const arc = {
+            center: new PIXI.Point(width / 2, width / 2),
+            radius: width / 2 - height / 2,
+            startAngle,
+            endAngle
+        };
+        const controlRadius = opts.controlRadius != null ? opts.controlRadius : width / 2 - height - 6;
+
+        super.configure(Object.assign({}, opts, { width, arc, controlRadius }));
+        this.givenOpts = opts;
+
+        return this
+    }
+
+    /**
+     * Creates children and instantiates everything.
+     *
+     * @private
+     * @return {Knob} A reference to the knob for chaining.
+     */
+    setup() {
+        // The needle is turned as soon as the control is created.
+        this.needleObj = new PIXI.Graphics();
+
+        super.setup();
+
+        // Needle
+        //-----------------
+        this.addChild(this.needleObj);
+
+        return this
+    }
+
+    /**
+     * Starts to turn the knob. The knob is turned relative to the position where the drag started.
+     *
+     * @private
+     * @param {PIXI.Graphics} control
+     * @param {PIXI.InteractionEvent} e - The pointerdown event.
+     * @param {number} delta - The distance of the pointer from the center of the control along the track.
+     * @return {boolean} Was the drag started?
+     */
+    startDrag(control, e, delta) {
+        const started = super.startDrag(control, e, delta);
+
+        if (started) {
+            control.start = e.data.getLocalPosition(this);
+            control.startPixel = this.valueToPixel(this._values[control.index]);
+        }
+
+        return started
+    }
+
+    /**
+     * Handles a press on the arc. A drag which starts with a jump turns the knob from the new value.
+     *
+     * @private
+     * @param {PIXI.InteractionEvent} e - The pointerdown event.
+     * @return {Knob} A reference to the knob for chaining.
+     */
+    pressTrack(e) {
+        super.pressTrack(e);
+
+        const control = this.draggedBy(e.data.pointerId);
+        if (control) {
+            control.startPixel = this.valueToPixel(this._values[control.index]);
+        }
+
+        return this
+    }
+
+    /**
+     * Draws the knob to the canvas.
+     *
+     * @private
+     * @return {Knob} A reference to the knob for chaining.
+     */
+    draw() {
+        const w = this.opts.width;
+        const h = this.opts.height;
+        const [from, to] = [this.pixelToAngle(0), this.pixelToAngle(this.trackLength)];
+
+        this.sliderObj.clear();
+        this.sliderObj.hitArea = new PIXI.Circle(w / 2, w / 2, w / 2);
+        this.drawArc(this.sliderObj, from, to, h + this.opts.strokeWidth * 2, this.opts.stroke, this.opts.strokeAlpha);
+        this.drawArc(this.sliderObj, from, to, h, this.opts.fill, this.opts.fillAlpha);
+
+        // Draw active arc
+        this.updateActive();
+
+        // Draw origin mark
+        this.drawTicks();
+
+        // Draw control
+        this.controls.forEach(control => this.drawControl(control));
+        this.updateIndicators();
+
+        // Draw focus ring
+        this.drawFocusRing();
+
+        return this
+    }
+
+    /**
+     * Draws the turnable part of the knob and the needle.
+     *
+     * @private
+     * @param {PIXI.Graphics} control
+     * @return {Knob} A reference to the knob for chaining.
+     */
+    drawControl(control) {
+        const cr = this.opts.controlRadius;
+
+        control.clear();
+        control.lineStyle(this.opts.controlStrokeWidth, this.opts.controlStroke, this.opts.controlStrokeAlpha);
+        control.beginFill(this.opts.controlFill, this.opts.controlFillAlpha);
+        control.drawCircle(0, 0, cr);
+        control.endFill();
+
+        this.needleObj.clear();
+        this.needleObj.lineStyle({
+            width: this.opts.controlStrokeWidth,
+            color: this.opts.controlStroke,
+            alpha: this.opts.controlStrokeAlpha,
+            cap: PIXI.LINE_CAP.ROUND
+        });
+        this.needleObj.moveTo(cr * 0.35, 0);
+        this.needleObj.lineTo(cr * 0.8, 0);
+
+        return this
+    }
+
+    /**
+     * Draws the active arc from the origin to the current angle of the needle. Can be called while
+     * the needle is tweened.
+     *
+     * @private
+     * @return {Knob} A reference to the knob for chaining.
+     */
+    updateActive() {
+        const from = this.pixelToAngle(this.valueToPixel(this.opts.origin));
+        const to = this.needleObj.rotation;
+
+        this.activeObj.clear();
+
+        if (to !== from) {
+            this.drawArc(this.activeObj, from, to, this.opts.height, this.opts.activeFill, this.opts.activeFillAlpha);
+        }
+
+        return this
+    }
+
+    /**
+     * Places the turnable part in the center of the knob and turns the needle to the value.
+     *
+     * @private
+     * @param {PIXI.Graphics} control
+     * @return {Knob} A reference to the knob for chaining.
+     */
+    placeControl(control) {
+        control.position.copyFrom(this.opts.arc.center);
+        this.needleObj.position.copyFrom(this.opts.arc.center);
+        this.needleObj.rotation = this.pixelToAngle(this.valueToPixel(this._values[control.index]));
+
+        return this
+    }
+
+    /**
+     * Animates the needle to the value.
+     *
+     * @private
+     * @return {Knob} A reference to the knob for chaining.
+     */
+    tweenControls() {
+        this.stopAnimation();
+
+        const rotation = this.pixelToAngle(this.valueToPixel(this._values[0]));
+
+        gsap.to(this.needleObj, this.theme.fast, { rotation, onUpdate: () => this.updateActive() });
+        this.changed();
+
+        return this
+    }
+
+    /**
+     * Cancels a running animation of the value and of the needle.
+     *
+     * @private
+     * @param {PIXI.Graphics[]} [controls=this.controls] - The controls which stop coasting.
+     * @return {Knob} A reference to the knob for chaining.
+     */
+    stopAnimation(controls) {
+        super.stopAnimation(controls);
+        gsap.killTweensOf(this.needleObj, 'rotation');
+
+        return this
+    }
+
+    /**
+     * Calculates the value of the knob for a position of the pointer while dragging.
+     *
+     * @private
+     * @param {PIXI.Graphics} control
+     * @param {PIXI.Point} position - The position of the pointer in the local coordinate system of the knob.
+     * @returns {number} The value.
+     */
+    dragValue(control, position) {
+        const start = control.start;
+
+        if (this.opts.drag === 'circular') {
+            return this.pixelToValue(control.startPixel + this.positionToPixel(position) - this.positionToPixel(start))
+        }
+
+        const direction = this.reversed ? -1 : 1;
+        const distance = ((start.y - position.y) * this.trackLength) / this.opts.dragDistance;
+        return this.pixelToValue(control.startPixel + distance * direction)
+    }
+
+    /**
+     * A knob has exactly one control, so no controls can be added.
+     *
+     * @return {number} Always -1.
+     */
+    addThumb() {
+        return -1
+    }
+
+    /**
+     * Destroys the knob.
+     *
+     * @param {object|boolean} [options] - Options parameter, see PIXI.Container#destroy.
+     */
+    destroy(options) {
+        gsap.killTweensOf(this.needleObj);
+
+        super.destroy(options);
+    }
+}
+
+window.Knob = Knob;
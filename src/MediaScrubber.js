@@ -0,0 +1,348 @@
+import * as PIXI from "pixi.js";
+import { Slider } from "./Slider";
+
+/**
+ * Class that represents a seek bar for an audio or video element. The value of the slider is the
+ * current time of the media in seconds.
+ *
+ * @example
+ * // Create the scrubber
+ * const scrubber = new MediaScrubber({
+ *     media: document.querySelector('video'),
+ *     width: 600,
+ *     chapters: [{ time: 0, title: 'Intro' }, { time: 95, title: 'Part 1' }]
+ * })
+ *
+ * // Add the scrubber to a DisplayObject
+ * app.stage.addChild(scrubber)
+ *
+ * @class
+ * @extends Slider
+ */
+export class MediaScrubber extends Slider {
+    /**
+     * Creates an instance of a MediaScrubber. Besides the following options, all options of Slider can be used.
+     * min and max are given by the duration of the media.
+     *
+     * @constructor
+     * @param {object} [opts] - An options object to specify to style and behaviour of the scrubber.
+     * @param {HTMLMediaElement} opts.media - The audio or video element to control.
+     * @param {boolean} [opts.liveSeek=false] - Should the media seek while the control is dragged? By default the
+     *     media seeks when the control is dropped (onComplete).
+     * @param {number[]|object[]} [opts.chapters] - The chapters of the media, marked on the track. Either a list of
+     *     start times in seconds or a list of objects with a time and a title. The title of the current chapter is
+     *     shown in the value indicator.
+     * @param {number} [opts.bufferedFill=Theme.color2] - The color of the buffered parts of the track as a hex value.
+     * @param {number} [opts.bufferedFillAlpha=0.3] - The alpha value of the buffered parts of the track.
+     * @param {number} [opts.chapterStroke=Theme.color1] - The color of the chapter markers as a hex value.
+     * @param {number} [opts.precision=2] - The number of decimal places of the value.
+     * @param {string} [opts.valueIndicator=drag] - Shows the time in a bubble above the control. See Slider.
+     */
+    constructor(opts = {}) {
+        const media = opts.media || null;
+
+        super(
+            Object.assign(
+                {},
+                {
+                    liveSeek: false,
+                    bufferedFill: null,
+                    bufferedFillAlpha: 0.3,
+                    chapterStroke: null,
+                    precision: 2,
+                    valueIndicator: 'drag'
+                },
+                opts,
+                {
+                    media,
+                    min: 0,
+                    max: MediaScrubber.duration(media),
+                    value: media ? media.currentTime : 0,
+                    chapters: (opts.chapters || [])
+                        .map(chapter => (typeof chapter === 'number' ? { time: chapter, title: '' } : chapter))
+                        .sort((a, b) => a.time - b.time),
+                    range: false,
+                    values: null,
+                    options: null
+                }
+            )
+        );
+    }
+
+    /**
+     * Creates children and binds the scrubber to the media element.
+     *
+     * @private
+     * @return {MediaScrubber} A reference to the scrubber for chaining.
+     */
+    setup() {
+        this.media = this.opts.media;
+        this.syncing = false;
+
+        super.setup();
+
+        // Buffered ranges and chapters
+        //-----------------
+        this.bufferedObj = new PIXI.Graphics();
+        this.addChildAt(this.bufferedObj, this.getChildIndex(this.activeObj));
+
+        this.chaptersObj = new PIXI.Graphics();
+        this.addChildAt(this.chaptersObj, this.getChildIndex(this.rangeObj));
+
+        // Media events
+        //-----------------
+        this.onTimeUpdate = e => {
+            // Updates of the media must not move the control away from the pointer or back to the old time
+            // before a seek is finished.
+            if (!this.dragging && !this.media.seeking) {
+                this.sync();
+            }
+        };
+        this.onDurationChange = e => {
+            // The control is moved into the new range without seeking.
+            this.syncing = true;
+            this.set({ max: MediaScrubber.duration(this.media) }, { silent: true });
+            this.syncing = false;
+            this.sync();
+        };
+        this.onProgress = e => this.drawBuffered();
+
+        if (this.media) {
+            this.media.addEventListener('timeupdate', this.onTimeUpdate, false);
+            this.media.addEventListener('seeked', this.onTimeUpdate, false);
+            this.media.addEventListener('durationchange', this.onDurationChange, false);
+            this.media.addEventListener('progress', this.onProgress, false);
+        }
+
+        return this
+    }
+
+    /**
+     * Draws the scrubber to the canvas.
+     *
+     * @private
+     * @return {MediaScrubber} A reference to the scrubber for chaining.
+     */
+    draw() {
+        super.draw();
+
+        this.drawBuffered();
+        this.drawChapters();
+
+        return this
+    }
+
+    /**
+     * Draws the buffered time ranges of the media as a secondary fill of the track.
+     *
+     * @private
+     * @return {MediaScrubber} A reference to the scrubber for chaining.
+     */
+    drawBuffered() {
+        const r = this.radius;
+        const cr = this.opts.controlRadius;
+        const p = this.vertical ? (a, b) => [b, a] : (a, b) => [a, b];
+        const buffered = this.media ? this.media.buffered : null;
+        const fill = this.opts.bufferedFill != null ? this.opts.bufferedFill : this.theme.color2;
+
+        this.bufferedObj.clear();
+        this.bufferedObj.beginFill(fill, this.opts.bufferedFillAlpha);
+
+        for (let i = 0; buffered && i < buffered.length; i++) {
+            const [a0, a1] = [buffered.start(i), buffered.end(i)]
+                .map(time => this.pixelToPosition(this.valueToPixel(time))[this.vertical ? 'y' : 'x'])
+                .sort((a, b) => a - b);
+            this.bufferedObj.drawRect(...p(a0, cr - r), ...p(a1 - a0, r * 2));
+        }
+
+        this.bufferedObj.endFill();
+
+        return this
+    }
+
+    /**
+     * Draws a marker across the track at the start of every chapter.
+     *
+     * @private
+     * @return {MediaScrubber} A reference to the scrubber for chaining.
+     */
+    drawChapters() {
+        const b = this.radius + 1;
+        const stroke = this.opts.chapterStroke != null ? this.opts.chapterStroke : this.theme.color1;
+
+        this.chaptersObj.clear();
+        this.chaptersObj.lineStyle(2, stroke, 1);
+
+        this.opts.chapters
+            .filter(chapter => chapter.time > this.opts.min && chapter.time < this.opts.max)
+            .forEach(chapter => {
+                const pixel = this.valueToPixel(chapter.time);
+                const [start, end] = [this.pixelToPosition(pixel, -b), this.pixelToPosition(pixel, b)];
+                this.chaptersObj.moveTo(start.x, start.y);
+                this.chaptersObj.lineTo(end.x, end.y);
+            });
+
+        return this
+    }
+
+    /**
+     * Updates everything which depends on the value. Changes made by the user seek the media,
+     * while dragging only if liveSeek is set.
+     *
+     * @private
+     * @return {MediaScrubber} A reference to the scrubber for chaining.
+     */
+    changed() {
+        super.changed();
+
+        if (!this.syncing && (this.opts.liveSeek || !this.dragging)) {
+            this.seek();
+        }
+
+        return this
+    }
+
+    /**
+     * Seeks the media before the onComplete callback is called, so the callback sees the new time.
+     *
+     * @private
+     * @param {string} name - The name of the callback option, e.g. onUpdate.
+     * @param {PIXI.InteractionEvent|Event} e - The event which caused the callback.
+     * @param {PIXI.Graphics} target - The moved control.
+     * @param {string} [source=user] - Who changed the value, user or code.
+     * @return {MediaScrubber} A reference to the scrubber for chaining.
+     */
+    notify(name, e, target, source) {
+        if (name === 'onComplete') {
+            this.seek();
+        }
+
+        return super.notify(name, e, target, source)
+    }
+
+    /**
+     * Sets the current time of the media to the value of the scrubber.
+     *
+     * @private
+     * @return {MediaScrubber} A reference to the scrubber for chaining.
+     */
+    seek() {
+        const time = this._values[0];
+
+        if (this.media && this.opts.max > 0 && this.media.currentTime !== time) {
+            this.media.currentTime = time;
+        }
+
+        return this
+    }
+
+    /**
+     * Moves the control to the current time of the media without seeking.
+     *
+     * @private
+     * @return {MediaScrubber} A reference to the scrubber for chaining.
+     */
+    sync() {
+        if (this.media) {
+            this.syncing = true;
+            this.moveControl(this.control, this.media.currentTime);
+            this.syncing = false;
+        }
+
+        return this
+    }
+
+    /**
+     * Creates the text which is displayed for a time. Without a valueFormatter the title of the
+     * chapter is put in front of the time.
+     *
+     * @private
+     * @param {number} value
+     * @returns {string} The text.
+     */
+    displayValue(value) {
+        const text = super.displayValue(value);
+        const chapter = this.chapterAt(value);
+
+        return !this.opts.valueFormatter && chapter && chapter.title ? `${chapter.title}\n${text}` : text
+    }
+
+    /**
+     * Formats a time as mm:ss, or hh:mm:ss if the media is at least an hour long.
+     *
+     * @param {number} value - The time in seconds.
+     * @returns {string} The formatted time.
+     */
+    formatValue(value) {
+        return MediaScrubber.formatTime(value, this.opts.max >= 3600)
+    }
+
+    /**
+     * Finds the chapter which contains the given time.
+     *
+     * @param {number} time - The time in seconds.
+     * @returns {object} The chapter (an object with a time and a title) or undefined.
+     */
+    chapterAt(time) {
+        return this.opts.chapters.filter(chapter => chapter.time <= time).pop()
+    }
+
+    /**
+     * Is the control dragged at the moment? A control which coasts after a fling counts as dragged,
+     * the media seeks when it stops.
+     *
+     * @member {boolean}
+     * @readonly
+     */
+    get dragging() {
+        return this.controls.some(control => control.dragging || control.momentum)
+    }
+
+    /**
+     * Destroys the scrubber and removes its listeners from the media element.
+     *
+     * @param {object|boolean} [options] - Options parameter, see PIXI.Container#destroy.
+     */
+    destroy(options) {
+        if (this.media) {
+            this.media.removeEventListener('timeupdate', this.onTimeUpdate, false);
+            this.media.removeEventListener('seeked', this.onTimeUpdate, false);
+            this.media.removeEventListener('durationchange', this.onDurationChange, false);
+            this.media.removeEventListener('progress', this.onProgress, false);
+        }
+
+        super.destroy(options);
+    }
+
+    /**
+     * Formats a time as mm:ss or hh:mm:ss.
+     *
+     * @static
+     * @param {number} seconds - The time in seconds.
+     * @param {boolean} [hours=false] - Should the hours be shown?
+     * @return {string} The formatted time.
+     */
+    static formatTime(seconds, hours = false) {
+        const total = Math.max(Math.floor(seconds) || 0, 0);
+        const pad = value => String(value).padStart(2, '0');
+        const [h, m, s] = [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60];
+
+        return hours ? `${pad(h)}:${pad(m)}:${pad(s)}` : `${pad(Math.floor(total / 60))}:${pad(s)}`
+    }
+
+    /**
+     * Gets the duration of a media element, or 0 if it is unknown (no metadata loaded yet, live
+     * streams).
+     *
+     * @private
+     * @static
+     * @param {HTMLMediaElement} media
+     * @return {number} The duration in seconds.
+     */
+    static duration(media) {
+        const duration = media ? media.duration : 0;
+        return duration > 0 && isFinite(duration) ? duration : 0
+    }
+}
+
+window.MediaScrubber = MediaScrubber;
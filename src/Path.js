@@ -0,0 +1,162 @@
+import * as PIXI from "pixi.js";
+
+/**
+ * Class that describes the track of a slider along an arbitrary path. The path is made of
+ * straight lines and quadratic or cubic bezier curves, which are flattened to a polyline.
+ * Positions on the path are addressed by their distance along the path (arc length).
+ *
+ * @example
+ * // A path with a straight line and a cubic bezier curve
+ * const slider = new Slider({
+ *     path: [[0, 100], [100, 100], { cp1: [150, 100], cp2: [200, 50], to: [200, 0] }]
+ * })
+ *
+ * @class
+ */
+export class Path {
+    /**
+     * Creates an instance of a Path.
+     *
+     * @constructor
+     * @param {Array} segments - The start point of the path followed by its segments. A point ([x, y] or {x, y})
+     *     draws a line to the point, an object { cp, to } a quadratic and an object { cp1, cp2, to } a cubic
+     *     bezier curve to the point to.
+     * @param {number} [samples=24] - The number of lines a bezier curve is flattened to.
+     */
+    constructor(segments, samples = 24) {
+        const point = value =>
+            Array.isArray(value) ? new PIXI.Point(value[0], value[1]) : new PIXI.Point(value.x, value.y);
+
+        this.points = [point(segments[0])];
+
+        segments.slice(1).forEach(segment => {
+            const start = this.points[this.points.length - 1];
+
+            if (segment.to === undefined) {
+                this.points.push(point(segment));
+                return
+            }
+
+            const to = point(segment.to);
+            const [cp1, cp2] = segment.cp ? [point(segment.cp), null] : [point(segment.cp1), point(segment.cp2)];
+
+            for (let i = 1; i <= samples; i++) {
+                const t = i / samples;
+                const u = 1 - t;
+                this.points.push(
+                    cp2
+                        ? new PIXI.Point(
+                              u * u * u * start.x + 3 * u * u * t * cp1.x + 3 * u * t * t * cp2.x + t * t * t * to.x,
+                              u * u * u * start.y + 3 * u * u * t * cp1.y + 3 * u * t * t * cp2.y + t * t * t * to.y
+                          )
+                        : new PIXI.Point(
+                              u * u * start.x + 2 * u * t * cp1.x + t * t * to.x,
+                              u * u * start.y + 2 * u * t * cp1.y + t * t * to.y
+                          )
+                );
+            }
+        });
+
+        // The distance along the path of every point.
+        this.distances = this.points.reduce((distances, point, index) => {
+            const previous = this.points[index - 1];
+            distances.push(index ? distances[index - 1] + Math.hypot(point.x - previous.x, point.y - previous.y) : 0);
+            return distances
+        }, []);
+    }
+
+    /**
+     * The length of the path.
+     *
+     * @member {number}
+     * @readonly
+     */
+    get length() {
+        return this.distances[this.distances.length - 1]
+    }
+
+    /**
+     * Calculates the point at a distance along the path.
+     *
+     * @param {number} distance - The distance from the start of the path.
+     * @param {number} [offset=0] - A distance across the path, positive values move the point to the right of
+     *     the direction of the path (below a path from left to right).
+     * @returns {PIXI.Point} The point.
+     */
+    pointAt(distance, offset = 0) {
+        const i = this.segmentAt(distance);
+        const [a, b] = [this.points[i], this.points[i + 1] || this.points[i]];
+        const length = this.distances[i + 1] - this.distances[i] || 1;
+        const t = Math.min(Math.max((distance - this.distances[i]) / length, 0), 1);
+        const [dx, dy] = [(b.x - a.x) / length, (b.y - a.y) / length];
+
+        return new PIXI.Point(a.x + (b.x - a.x) * t - dy * offset, a.y + (b.y - a.y) * t + dx * offset)
+    }
+
+    /**
+     * Projects a position onto the path.
+     *
+     * @param {PIXI.Point} position
+     * @returns {number} The distance along the path of the nearest point on the path.
+     */
+    distanceOf(position) {
+        let nearest = { distance: 0, squared: Infinity };
+
+        for (let i = 0; i < this.points.length - 1; i++) {
+            const [a, b] = [this.points[i], this.points[i + 1]];
+            const [dx, dy] = [b.x - a.x, b.y - a.y];
+            const squaredLength = dx * dx + dy * dy;
+            const t = squaredLength
+                ? Math.min(Math.max(((position.x - a.x) * dx + (position.y - a.y) * dy) / squaredLength, 0), 1)
+                : 0;
+            const [x, y] = [a.x + dx * t - position.x, a.y + dy * t - position.y];
+            const squared = x * x + y * y;
+
+            if (squared < nearest.squared) {
+                nearest = { distance: this.distances[i] + t * (this.distances[i + 1] - this.distances[i]), squared };
+            }
+        }
+
+        return nearest.distance
+    }
+
+    /**
+     * Gets the points of the part of the path between two distances, e.g. to draw it.
+     *
+     * @param {number} from - The distance where the part starts.
+     * @param {number} to - The distance where the part ends.
+     * @returns {PIXI.Point[]} The points.
+     */
+    between(from, to) {
+        const [start, end] = [Math.min(from, to), Math.max(from, to)];
+        const inner = this.points.filter(
+            (point, index) => this.distances[index] > start && this.distances[index] < end
+        );
+
+        return [this.pointAt(start), ...inner, this.pointAt(end)]
+    }
+
+    /**
+     * Finds the index of the line which contains the point at a distance.
+     *
+     * @private
+     * @param {number} distance
+     * @returns {number} The index of the first point of the line.
+     */
+    segmentAt(distance) {
+        let [low, high] = [0, this.points.length - 1];
+
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (this.distances[middle] <= distance) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+
+        return low
+    }
+}
+
+window.Path = Path;
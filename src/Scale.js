@@ -0,0 +1,262 @@
+import { clamp, decimals, round } from "./utils";
+
+/**
+ * Class that maps values of a slider to positions on its track. A scale is described by a pair of
+ * functions: forward transforms a value into a space in which it is distributed linearly along the
+ * track, inverse transforms it back. The transformed range of the slider (forward(min) to
+ * forward(max)) is stretched over the whole track.
+ *
+ * @example
+ * // A slider for frequencies with a logarithmic scale
+ * const slider = new Slider({ min: 20, max: 20000, scale: 'log' })
+ *
+ * // A slider with a custom square root scale
+ * const slider = new Slider({ scale: { forward: Math.sqrt, inverse: t => t * t } })
+ *
+ * @class
+ */
+export class Scale {
+    /**
+     * Creates an instance of a Scale.
+     *
+     * @constructor
+     * @param {object} [opts] - An options object to specify the behaviour of the scale.
+     * @param {function} [opts.forward=identity] - Transforms a value into the linear space of the track.
+     * @param {function} [opts.inverse=identity] - Transforms a value of the linear space back, must be the inverse of
+     *     forward.
+     * @param {function} [opts.format] - Formats a value for display, gets the value and the precision of the slider.
+     *     Defaults to the value rounded to the precision.
+     */
+    constructor(opts = {}) {
+        this.opts = Object.assign(
+            {},
+            {
+                forward: value => value,
+                inverse: value => value,
+                format: (value, precision) => String(round(value, precision))
+            },
+            opts
+        );
+    }
+
+    /**
+     * Calculates the relative position (between 0 and 1) of a value on the track.
+     *
+     * @param {number} value
+     * @param {number} min - The minimum value of the slider.
+     * @param {number} max - The maximum value of the slider.
+     * @returns {number} The relative position.
+     */
+    toRatio(value, min, max) {
+        const start = this.opts.forward(min);
+        const end = this.opts.forward(max);
+        return end === start ? 0 : (this.opts.forward(clamp(value, min, max)) - start) / (end - start)
+    }
+
+    /**
+     * Calculates the value for a relative position (between 0 and 1) on the track.
+     *
+     * @param {number} ratio - The relative position.
+     * @param {number} min - The minimum value of the slider.
+     * @param {number} max - The maximum value of the slider.
+     * @returns {number} The value.
+     */
+    fromRatio(ratio, min, max) {
+        if (ratio <= 0) {
+            return min
+        } else if (ratio >= 1) {
+            return max
+        }
+        const start = this.opts.forward(min);
+        const end = this.opts.forward(max);
+        return clamp(this.opts.inverse(start + ratio * (end - start)), min, max)
+    }
+
+    /**
+     * Formats a value for display, e.g. in the tooltip of the slider.
+     *
+     * @param {number} value
+     * @param {number} [precision=0] - The number of decimal places.
+     * @returns {string} The formatted value.
+     */
+    format(value, precision = 0) {
+        return this.opts.format(value, precision)
+    }
+
+    /**
+     * Calculates evenly spaced values with a "nice" distance (1, 2 or 5 times a power of ten) for
+     * the tick marks of a slider.
+     *
+     * @param {number} min - The minimum value of the slider.
+     * @param {number} max - The maximum value of the slider.
+     * @param {number} count - The approximate number of ticks.
+     * @returns {number[]} The values of the ticks.
+     */
+    ticks(min, max, count) {
+        const rough = (max - min) / Math.max(count, 1);
+        if (!(rough > 0)) {
+            return [min]
+        }
+
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(step => step >= rough);
+        const precision = decimals(round(step, 15));
+        const ticks = [];
+
+        for (let value = Math.ceil(min / step) * step; value <= max + step / 1e6; value += step) {
+            ticks.push(round(value, precision));
+        }
+
+        return ticks
+    }
+
+    /**
+     * Factory function
+     *
+     * @static
+     * @param {string|object|Scale} scale=linear - The name of the scale (linear or log), a scale object or an
+     *     options object with a forward and inverse function.
+     * @return {Scale} Returns a scale object.
+     */
+    static fromString(scale) {
+        if (scale instanceof Scale) {
+            return scale
+        }
+
+        if (scale && typeof scale === 'object') {
+            return new Scale(scale)
+        }
+
+        switch (scale) {
+            case 'log':
+                return new LogScale()
+            default:
+                return new LinearScale()
+        }
+    }
+
+    /**
+     * Creates a power scale, e.g. Scale.pow(2) spreads small values over a larger part of the track.
+     *
+     * @static
+     * @param {number} [exponent=2] - The exponent of the scale.
+     * @return {PowScale} Returns the scale.
+     */
+    static pow(exponent) {
+        return new PowScale(exponent)
+    }
+
+    /**
+     * Creates a piecewise linear scale.
+     *
+     * @static
+     * @param {number[]|number[][]} breakpoints - The breakpoints of the scale. See PiecewiseScale.
+     * @return {PiecewiseScale} Returns the scale.
+     */
+    static piecewise(breakpoints) {
+        return new PiecewiseScale(breakpoints)
+    }
+}
+
+export class LinearScale extends Scale {}
+
+export class LogScale extends Scale {
+    /**
+     * Creates an instance of a LogScale. The minimum of a slider with a logarithmic scale has to be
+     * greater than 0.
+     *
+     * @constructor
+     */
+    constructor() {
+        super({
+            forward: value => Math.log(Math.max(value, Number.MIN_VALUE)),
+            inverse: value => Math.exp(value)
+        });
+    }
+
+    /**
+     * Calculates the values for the tick marks of a slider: powers of ten, completed by 2 and 5 times
+     * a power of ten if there is enough space.
+     *
+     * @param {number} min - The minimum value of the slider.
+     * @param {number} max - The maximum value of the slider.
+     * @param {number} count - The approximate number of ticks.
+     * @returns {number[]} The values of the ticks.
+     */
+    ticks(min, max, count) {
+        const first = Math.floor(Math.log10(min));
+        const last = Math.ceil(Math.log10(max));
+        const factors = (last - first) * 3 <= count ? [1, 2, 5] : [1];
+        const ticks = [];
+
+        for (let exponent = first; exponent <= last; exponent++) {
+            factors.forEach(factor => {
+                const value = round(factor * Math.pow(10, exponent), Math.max(-exponent, 0));
+                if (value >= min && value <= max) {
+                    ticks.push(value);
+                }
+            });
+        }
+
+        return ticks
+    }
+}
+
+export class PowScale extends Scale {
+    /**
+     * Creates an instance of a PowScale. Negative values are mirrored, so the scale can be used for
+     * signed ranges as well.
+     *
+     * @constructor
+     * @param {number} [exponent=2] - The exponent of the scale.
+     */
+    constructor(exponent = 2) {
+        super({
+            forward: value => Math.sign(value) * Math.pow(Math.abs(value), exponent),
+            inverse: value => Math.sign(value) * Math.pow(Math.abs(value), 1 / exponent)
+        });
+
+        this.exponent = exponent;
+    }
+}
+
+export class PiecewiseScale extends Scale {
+    /**
+     * Creates an instance of a PiecewiseScale. The scale interpolates linearly between breakpoints,
+     * each one given as a pair of a value and its relative position on the track (between 0 and 1).
+     * A plain list of values spreads the breakpoints evenly over the track.
+     *
+     * @example
+     * // 0 to 100 on the first half of the track, 100 to 1000 on the second half
+     * Scale.piecewise([0, 100, 1000])
+     * // The same with explicit positions
+     * Scale.piecewise([[0, 0], [100, 0.5], [1000, 1]])
+     *
+     * @constructor
+     * @param {number[]|number[][]} breakpoints - The breakpoints ordered by value.
+     */
+    constructor(breakpoints) {
+        const points = breakpoints.map((point, index) =>
+            Array.isArray(point) ? point : [point, index / Math.max(breakpoints.length - 1, 1)]
+        );
+
+        const interpolate = (value, from, to) => {
+            let i = 1;
+            while (i < points.length - 1 && value > points[i][from]) {
+                i++;
+            }
+            const [a, b] = [points[i - 1], points[i]];
+            const t = b[from] === a[from] ? 0 : (value - a[from]) / (b[from] - a[from]);
+            return a[to] + t * (b[to] - a[to])
+        };
+
+        super({
+            forward: value => interpolate(value, 0, 1),
+            inverse: ratio => interpolate(ratio, 1, 0)
+        });
+
+        this.breakpoints = points;
+    }
+}
+
+window.Scale = Scale;
@@ -1,7 +1,28 @@
 import * as PIXI from "pixi.js";
 import gsap from "gsap";
+import { Scale } from "./Scale";
+import { Path } from "./Path";
+import { LowPassFilter } from "./lib/LowPassFilter";
+import { clamp, decimals, pointerIdOf, round, snap } from "./utils";
 
-class Theme {
+/**
+ * All sliders which can be focused, in the order of their creation. Used to move the focus with the
+ * tab key.
+ *
+ * @private
+ * @type {Slider[]}
+ */
+const sliders = [];
+
+/**
+ * The canvases which are in the tab order of the page and pass the focus to their sliders.
+ *
+ * @private
+ * @type {WeakSet<HTMLCanvasElement>}
+ */
+const tabbableViews = new WeakSet();
+
+export class Theme {
     /**
      * Creates an instance of a Theme.
      *
@@ -159,7 +180,8 @@ class Theme {
 
 export class Slider extends PIXI.Container {
     /**
-     * Creates an instance of a Slider.
+     * Creates an instance of a Slider. Besides the callbacks, the slider emits the events start,
+     * input, change and end, so any number of listeners can subscribe with slider.on (see notify).
      *
      * @constructor
      * @param {object} [opts] - An options object to specify to style and behaviour of the slider.
@@ -168,20 +190,133 @@ export class Slider extends PIXI.Container {
      * @param {number} [opts.y=0] - The y position of the slider. Can be also set after creation with slider.y = 0.
      * @param {string|Theme} [opts.theme=dark] - The theme to use for this slider. Possible values are dark, light, red
      *     or a Theme object.
-     * @param {number} [opts.width=250] - The width of the slider.
-     * @param {number} [opts.height=2] - The height of the slider.
-     * @param {PIXI.DisplayObject} [opts.container=window.app|object] - The container where the slider events should be attached to.
+     * @param {number} [opts.width=250] - The width of the slider. In vertical orientation this is the length of the
+     *     track along the y axis.
+     * @param {number} [opts.height=2] - The height of the slider. In vertical orientation this is the thickness of the
+     *     track along the x axis.
+     * @param {PIXI.DisplayObject|Element} [opts.container=window.app|object] - The container where the slider events
+     *     should be attached to. An element captures the pointer while dragging instead of the canvas.
+     * @param {PIXI.Renderer} [opts.renderer=window.app.renderer] - The renderer which draws the slider. Needed to place
+     *     the elements of the accessibility layer over the canvas and to track a drag outside of the canvas.
      * @param {number} [opts.fill=Theme.fill] - The color of the slider background as a hex value.
      * @param {number} [opts.fillAlpha=Theme.fillAlpha] - The alpha value of the background.
      * @param {number} [opts.stroke=Theme.stroke] - The color of the border as a hex value.
      * @param {number} [opts.strokeWidth=Theme.strokeWidth] - The width of the border in pixel.
      * @param {number} [opts.strokeAlpha=Theme.strokeAlpha] - The alpha value of the border.
+     * @param {number} [opts.activeFill=Theme.primaryColor] - The color of the active part of the track (from the
+     *     origin to the control) as a hex value.
+     * @param {number} [opts.activeFillAlpha=Theme.fillActiveAlpha] - The alpha value of the active part of the track.
      * @param {number} [opts.controlFill=Theme.stroke] - The color of the slider control background as a hex value.
      * @param {number} [opts.controlFillAlpha=Theme.strokeAlpha] - The alpha value of the background.
      * @param {number} [opts.controlStroke=Theme.stroke] - The color of the border as a hex value.
      * @param {number} [opts.controlStrokeWidth=Theme.strokeWidth * 0.8] - The width of the border in pixel.
      * @param {number} [opts.controlStrokeAlpha=Theme.strokeAlpha] - The alpha value of the border.
      * @param {number} [opts.controlRadius=16] - The radius of the slider control.
+     * @param {string} [opts.orientation=horizontal] - The orientation of the slider, horizontal or vertical. A
+     *     horizontal slider has its minimum on the left, a vertical slider has its minimum at the bottom.
+     * @param {boolean|object} [opts.arc=false] - Bends the track to a circular arc, e.g. for a speedometer. The
+     *     minimum is at the start angle, the value increases clockwise. The width and the orientation are ignored.
+     *     true uses the default options, an object configures the arc:
+     * @param {PIXI.Point|object} [opts.arc.center] - The center of the circle in the local coordinate system of the
+     *     slider. Defaults to a center which places the whole circle inside the slider.
+     * @param {number} [opts.arc.radius=100] - The radius of the track.
+     * @param {number} [opts.arc.startAngle=-90] - The angle of the minimum in degrees, measured clockwise from the
+     *     top.
+     * @param {number} [opts.arc.endAngle=90] - The angle of the maximum in degrees, must be greater than startAngle.
+     * @param {Array} [opts.path] - Lays the track along a path in the local coordinate system of the slider, made of
+     *     points and bezier curves (see Path). The minimum is at the start of the path and the value is
+     *     proportional to the distance along the path. The width and the orientation are ignored. A path without
+     *     length (fewer than two distinct points) is ignored.
+     * @param {boolean} [opts.inverted=false] - Inverts the direction of the slider, so that the minimum is on the right
+     *     (horizontal) or at the top (vertical).
+     * @param {number} [opts.min=0] - The minimum value of the slider.
+     * @param {number} [opts.max=100] - The maximum value of the slider.
+     * @param {number} [opts.value=0] - The initial value of the slider.
+     * @param {number} [opts.origin=min] - The value from which the active part of the track grows towards the
+     *     control, e.g. 0 for a bipolar slider from -50 to 50 (balance, pitch). An origin between min and max is
+     *     marked with a tick across the track.
+     * @param {boolean|number} [opts.sticky=false] - Snaps a released control to the origin if it is dropped near it.
+     *     true snaps within 8 pixels, a number sets the distance in pixels.
+     * @param {Array} [opts.options] - Turns the slider into a categorical slider which selects one of the given
+     *     items, e.g. ['Off', 'Low', 'Medium', 'High']. The controls snap to evenly spaced positions and value, low
+     *     and high return (and accept) items instead of numbers. The options min, max, scale, step and precision are
+     *     ignored.
+     * @param {string|object|Scale} [opts.scale=linear] - The scale which maps values to positions on the track.
+     *     Possible values are linear, log, a scale created with Scale.pow(exponent) or Scale.piecewise(breakpoints),
+     *     or an object with a custom forward and inverse function (see Scale).
+     * @param {number} [opts.step=0] - The granularity of the value. The value snaps to min plus a multiple of step
+     *     while dragging, on a click on the track and when it is set. 0 means no snapping.
+     * @param {number} [opts.precision] - The number of decimal places of the value. Defaults to the decimal places of
+     *     step and min, or 0 if no step is given.
+     * @param {boolean} [opts.range=false] - Turns the slider into a range slider with two controls, one for the low and
+     *     one for the high value. The track between both controls is filled and can be dragged to move the whole range.
+     * @param {number} [opts.low=min] - The initial low value of a range slider.
+     * @param {number} [opts.high=max] - The initial high value of a range slider.
+     * @param {number[]} [opts.values] - The initial values of a slider with multiple controls (thumbs), one control per
+     *     value. Controls can be added and removed later with addThumb and removeThumb.
+     * @param {number} [opts.minGap=0] - The minimum distance between the values of two neighbouring controls.
+     * @param {string} [opts.collision=block] - What happens when a dragged control reaches its neighbour: block stops
+     *     it, push moves the neighbours along and swap lets the controls pass each other (minGap is ignored then).
+     * @param {string} [opts.trackPress=jump] - What happens when the track is pressed: jump moves the nearest control
+     *     under the pointer, where it can be dragged right away (like a native range input), page moves it by a large
+     *     step towards the pointer, repeatedly while the track is held, and none ignores the press.
+     * @param {boolean|object} [opts.momentum=false] - Does a flicked control coast on after it is released? Its
+     *     velocity is estimated from the last moves of the pointer and slowed down by friction. onComplete is called
+     *     when the control stops. true uses the default options, an object configures the momentum:
+     * @param {number} [opts.momentum.friction=0.95] - The part of the velocity which is kept per frame (at 60 fps).
+     * @param {string} [opts.momentum.ends=clamp] - What happens at the ends of the track: clamp stops the control,
+     *     bounce lets it bounce back.
+     * @param {number} [opts.rangeFill=Theme.primaryColor] - The color of the filled range as a hex value.
+     * @param {number} [opts.rangeFillAlpha=Theme.fillActiveAlpha] - The alpha value of the filled range.
+     * @param {boolean|object} [opts.ticks=false] - Draws tick marks with labels along the track. true uses the default
+     *     options, an object configures the ticks:
+     * @param {number|number[]} [opts.ticks.major] - The distance between two major ticks (starting at min) or a list of
+     *     values. By default the distance is chosen automatically, for categorical sliders every option gets a tick.
+     * @param {number|number[]} [opts.ticks.minor=0] - The number of minor ticks between two major ticks or a list of
+     *     values.
+     * @param {boolean} [opts.ticks.labels=true] - Should the major ticks be labeled?
+     * @param {function} [opts.ticks.formatter] - Creates the label of a major tick, gets the value and the index of the
+     *     tick. Defaults to the formatted value (see formatValue).
+     * @param {string} [opts.ticks.position=below] - Where to draw the ticks, below (right of a vertical slider, inside
+     *     an arc), above (left of a vertical slider, outside an arc) or over the track.
+     * @param {boolean} [opts.ticks.hideOverlapping=true] - Hides labels which would overlap the previous label, e.g.
+     *     when the slider is narrow.
+     * @param {number} [opts.ticks.length=8] - The length of a major tick.
+     * @param {number} [opts.ticks.minorLength=4] - The length of a minor tick.
+     * @param {number} [opts.ticks.color=Theme.stroke] - The color of the ticks as a hex value.
+     * @param {number} [opts.ticks.alpha=Theme.strokeAlpha] - The alpha value of the ticks.
+     * @param {number} [opts.ticks.width=1] - The line width of the ticks.
+     * @param {object} [opts.ticks.textStyle=Theme.textStyleSmall] - The style of the labels. See PIXI.TextStyle.
+     * @param {string} [opts.valueIndicator=off] - Shows the value in a bubble above the control (left of the control of
+     *     a vertical slider). Possible values are off, drag (shown while the control is dragged) and always.
+     * @param {function} [opts.valueFormatter] - Creates the text of the value indicator, gets the value of the
+     *     control (the item for categorical sliders) and the slider. Defaults to the formatted value (see
+     *     formatValue).
+     * @param {boolean} [opts.keyboard=true] - Can the slider be focused and operated with the keyboard? The arrow keys
+     *     change the value by one step (1% of the track without a step), page up and page down by a large step, home
+     *     and end jump to the minimum and maximum. Typing a number jumps to that value (typing the beginning of an
+     *     item selects it on a categorical slider). The tab key moves the focus to the next control or slider.
+     *     Without accessibility, the canvas of the renderer is added to the tab order of the page and passes the focus
+     *     to its first slider.
+     * @param {number} [opts.largeStep=step * 10] - The change of the value with page up and page down. Defaults to 10%
+     *     of the track without a step.
+     * @param {boolean} [opts.keyAcceleration=true] - Should the change speed up while a key is held down?
+     * @param {boolean|object} [opts.wheel=false] - Can the value be changed with the mouse wheel or the trackpad while
+     *     the pointer is over the slider? true uses the default options, an object configures the wheel:
+     * @param {number} [opts.wheel.idle=250] - The time in milliseconds without scrolling, after which the change is
+     *     completed (onComplete is called).
+     * @param {number} [opts.wheel.pixelsPerStep=40] - The scroll distance in pixel for one step (trackpads and other
+     *     devices which scroll by pixel). Devices which scroll by line move one step per line.
+     * @param {boolean|object} [opts.accessibility=false] - Adds a visually hidden input element (type range) for each
+     *     control to the page, placed over the control on the canvas. Screen readers and switch devices operate the
+     *     slider through these elements, which stay in sync with the value. true uses the default options, an object
+     *     configures the elements:
+     * @param {string} [opts.accessibility.label] - The label (aria-label) of the slider. Defaults to the tooltip if it
+     *     is a string. The controls of a slider with multiple controls are labeled with the label and their number
+     *     (or minimum and maximum for a range slider).
+     * @param {function} [opts.accessibility.valueText] - Creates the text a screen reader announces
+     *     (aria-valuetext), gets the value of the control (the item for categorical sliders) and the slider. Defaults
+     *     to the text of the value indicator.
      * @param {boolean} [opts.disabled=false] - Is the slider disabled? When disabled, the slider has a lower alpha value
      *     and cannot be clicked (interactive is set to false).
      * @param {onStartCallback} [opts.onStart] - Executed when the slider control starts to move.
@@ -194,9 +329,76 @@ export class Slider extends PIXI.Container {
     constructor(opts = {}) {
         super();
 
+        this.configure(opts);
+
+        // Properties
+        //-----------------
+        this.id = this.opts.id;
+
+        this._values = this.opts.values ? this.normalizeValues(this.opts.values) : [this.snapValue(this.opts.value)];
+        this._disabled = null;
+
+        this.startValues = null;
+        this.silent = false;
+        this.animation = null;
+
+        this.sliderObj = null;
+        this.activeObj = null;
+        this.rangeObj = null;
+        this.ticksObj = null;
+        this.labelsObj = null;
+        this.controls = [];
+        this.control = null;
+        this.tooltip = null;
+
+        this.pointers = new Set();
+        this.captureElement = null;
+        this.paging = null;
+
+        this.focused = false;
+        this.focusVisible = false;
+        this.focusRing = null;
+        this.activeControl = null;
+        this.keyControl = null;
+        this.keyRepeat = 0;
+        this.typed = '';
+        this.typedTimeout = null;
+
+        this.hovered = false;
+        this.wheelControl = null;
+        this.wheelDelta = 0;
+        this.wheelTimeout = null;
+
+        this.visible = this.opts.visible;
+
+        // setup
+        //-----------------
+        this.setup();
+
+        // layout
+        //-----------------
+        this.layout();
+    }
+
+    /**
+     * Merges the given options with the defaults and validates them. Called by the constructor and
+     * again by set with the changed options.
+     *
+     * @private
+     * @param {object} opts - The options as given to the constructor.
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    configure(opts) {
+        this.givenOpts = opts;
+
         const theme = Theme.fromString(opts.theme);
         this.theme = theme;
 
+        this.valueScale = Scale.fromString(opts.scale);
+
+        // Invalid options fall back to the previous ones (given to the constructor or set before).
+        const previous = this.opts;
+
         this.opts = Object.assign(
             {},
             {
@@ -206,11 +408,14 @@ export class Slider extends PIXI.Container {
                 width: 250,
                 height: 2,
                 container: null,
+                renderer: window.app ? window.app.renderer : null,
                 fill: theme.fill,
                 fillAlpha: theme.fillAlpha,
                 stroke: theme.stroke,
                 strokeWidth: theme.strokeWidth,
                 strokeAlpha: theme.strokeAlpha,
+                activeFill: theme.primaryColor,
+                activeFillAlpha: theme.fillActiveAlpha,
                 controlFill: theme.fill,
                 controlFillAlpha: 0.5,
                 controlStroke: theme.primaryColor,
@@ -218,9 +423,36 @@ export class Slider extends PIXI.Container {
                 controlStrokeAlpha: theme.strokeAlpha,
                 controlRadius: 16,
                 orientation: 'horizontal',
+                inverted: false,
+                arc: false,
+                path: null,
                 min: 0,
                 max: 100,
                 value: 0,
+                origin: null,
+                sticky: false,
+                options: null,
+                scale: 'linear',
+                step: 0,
+                precision: null,
+                range: false,
+                low: null,
+                high: null,
+                values: null,
+                minGap: 0,
+                collision: 'block',
+                trackPress: 'jump',
+                momentum: false,
+                rangeFill: theme.primaryColor,
+                rangeFillAlpha: theme.fillActiveAlpha,
+                ticks: false,
+                valueIndicator: 'off',
+                valueFormatter: null,
+                keyboard: true,
+                largeStep: null,
+                keyAcceleration: true,
+                wheel: false,
+                accessibility: false,
                 disabled: false,
                 onStart: null,
                 onUpdate: null,
@@ -235,10 +467,115 @@ export class Slider extends PIXI.Container {
 
         // Validation
         //-----------------
+        const defaults = { min: 0, max: 100, width: 250, step: 0 };
+        const fallback = previous || defaults;
+
+        Object.keys(defaults).forEach(name => {
+            const value = Number(this.opts[name]);
+            this.opts[name] = isFinite(value) ? value : fallback[name];
+        });
+
+        // An empty range (min equal to max) is valid, e.g. for a media scrubber before the duration is known.
+        if (!(this.opts.min <= this.opts.max)) {
+            [this.opts.min, this.opts.max] = [fallback.min, fallback.max];
+        }
+
         if (this.opts.height > this.opts.width) {
             this.opts.height = this.opts.width;
         }
 
+        if (this.opts.ticks) {
+            this.opts.ticks = Object.assign(
+                {},
+                {
+                    major: null,
+                    minor: 0,
+                    labels: true,
+                    formatter: null,
+                    position: 'below',
+                    hideOverlapping: true,
+                    length: 8,
+                    minorLength: 4,
+                    color: theme.stroke,
+                    alpha: theme.strokeAlpha,
+                    width: 1,
+                    textStyle: theme.textStyleSmall
+                },
+                this.opts.ticks === true ? {} : this.opts.ticks
+            );
+        }
+
+        if (this.opts.wheel) {
+            this.opts.wheel = Object.assign(
+                {},
+                { idle: 250, pixelsPerStep: 40 },
+                this.opts.wheel === true ? {} : this.opts.wheel
+            );
+        }
+
+        if (this.opts.momentum) {
+            this.opts.momentum = Object.assign(
+                {},
+                { friction: 0.95, ends: 'clamp' },
+                this.opts.momentum === true ? {} : this.opts.momentum
+            );
+            this.opts.momentum.friction = clamp(this.opts.momentum.friction, 0, 0.99);
+        }
+
+        if (this.opts.arc) {
+            this.opts.arc = Object.assign(
+                {},
+                { center: null, radius: 100, startAngle: -90, endAngle: 90 },
+                this.opts.arc === true ? {} : this.opts.arc
+            );
+            // The arc runs clockwise from the start to the end angle.
+            if (!(this.opts.arc.endAngle > this.opts.arc.startAngle)) {
+                const angles = previous && previous.arc ? previous.arc : { startAngle: -90, endAngle: 90 };
+                [this.opts.arc.startAngle, this.opts.arc.endAngle] = [angles.startAngle, angles.endAngle];
+            }
+            const offset = this.opts.arc.radius + this.opts.controlRadius;
+            this.opts.arc.center = this.opts.arc.center || new PIXI.Point(offset, offset);
+            this.opts.orientation = 'horizontal';
+        }
+
+        // A path needs two distinct points at least, a value cannot be placed on a path without length.
+        if (this.opts.path && !(this.opts.path.length > 1 && new Path(this.opts.path).length > 0)) {
+            this.opts.path = previous ? previous.path : null;
+        }
+
+        if (this.opts.path) {
+            this.opts.orientation = 'horizontal';
+        }
+
+        if (this.opts.accessibility) {
+            this.opts.accessibility = Object.assign(
+                {},
+                { label: typeof this.opts.tooltip === 'string' ? this.opts.tooltip : 'Slider', valueText: null },
+                this.opts.accessibility === true ? {} : this.opts.accessibility
+            );
+        }
+
+        if (this.opts.options) {
+            const options = this.opts.options;
+            const toIndex = item => Math.max(options.indexOf(item), 0);
+
+            Object.assign(this.opts, { min: 0, max: Math.max(options.length - 1, 0), step: 1, precision: 0 });
+            this.opts.value = opts.value !== undefined ? toIndex(opts.value) : 0;
+            this.opts.origin = this.opts.origin != null ? toIndex(this.opts.origin) : null;
+            this.opts.low = this.opts.low != null ? toIndex(this.opts.low) : null;
+            this.opts.high = this.opts.high != null ? toIndex(this.opts.high) : null;
+            this.opts.values = this.opts.values ? this.opts.values.map(toIndex) : null;
+            this.valueScale = Scale.fromString('linear');
+        }
+
+        if (!(this.opts.step > 0)) {
+            this.opts.step = 0;
+        }
+
+        if (this.opts.precision == null) {
+            this.opts.precision = this.opts.step ? Math.max(decimals(this.opts.step), decimals(this.opts.min)) : 0;
+        }
+
         if (this.opts.value < this.opts.min) {
             this.opts.value = this.opts.min;
         }
@@ -247,27 +584,27 @@ export class Slider extends PIXI.Container {
             this.opts.value = this.opts.max;
         }
 
-        // Properties
-        //-----------------
-        this.id = this.opts.id;
-        this.radius = this.opts.height / 2;
-
-        this._value = this.opts.value;
-        this._disabled = null;
+        const origin = this.opts.origin != null ? this.opts.origin : this.opts.min;
+        this.opts.origin = clamp(origin, this.opts.min, this.opts.max);
+        this.opts.sticky = this.opts.sticky === true ? 8 : Math.max(Number(this.opts.sticky) || 0, 0);
 
-        this.sliderObj = null;
-        this.control = null;
-        this.tooltip = null;
+        if (this.opts.range) {
+            this.opts.low = this.opts.low != null ? this.opts.low : this.opts.min;
+            this.opts.high = this.opts.high != null ? this.opts.high : this.opts.max;
+            this.opts.values = [this.opts.low, this.opts.high];
+        } else if (this.opts.values && !this.opts.values.length) {
+            this.opts.values = [this.opts.value];
+        }
 
-        this.visible = this.opts.visible;
+        if (this.opts.values) {
+            const count = this.opts.values.length;
+            this.opts.minGap = clamp(this.opts.minGap, 0, (this.opts.max - this.opts.min) / Math.max(count - 1, 1));
+        }
 
-        // setup
-        //-----------------
-        this.setup();
+        this.radius = this.opts.height / 2;
+        this.path = this.opts.path ? new Path(this.opts.path) : null;
 
-        // layout
-        //-----------------
-        this.layout();
+        return this
     }
 
     /**
@@ -277,38 +614,57 @@ export class Slider extends PIXI.Container {
      * @return {Slider} A reference to the slider for chaining.
      */
     setup() {
-        // Container events
+        // Dragging
         //-----------------
+        // A drag follows the pointer until it is released, even outside of the slider and the canvas.
+        // The pointer is captured by the canvas (or the container element) and tracked on the page,
+        // its positions are mapped through the interaction plugin of the renderer. Every control (and
+        // the range) is dragged by its own pointer, so several fingers can drag at once.
         const container = this.opts.container;
 
+        this.onPointerMove = e => {
+            const target = this.draggedBy(e.pointerId);
+
+            if (target && this.pointers.has(e.pointerId)) {
+                const point = new PIXI.Point();
+                this.opts.renderer.plugins.interaction.mapPositionToPoint(point, e.clientX, e.clientY);
+                this.drag(target, e, this.toLocal(point));
+            }
+        };
+
+        this.onPointerUp = e => {
+            if (this.pointers.has(e.pointerId)) {
+                this.onEnd(e);
+            }
+        };
+
+        // Without a renderer or pointer events, the drag is tracked by the interaction of PIXI.
         this.on('pointermove', e => {
-            if (this.control.dragging) {
-                const moveX = this.control.event.data.getLocalPosition(this.control.parent).x;
-                this._value = this.pixelToValue(moveX - this.control.delta - this.opts.controlRadius);
-                let x = this.valueToPixel(this._value) + this.opts.controlRadius;
-                this.control.x = x;
-
-                if (this.opts.onUpdate) {
-                    this.opts.onUpdate.call(this, e, this);
-                }
+            const target = this.draggedBy(e.data.pointerId);
+
+            if (target && !this.pointers.has(e.data.pointerId)) {
+                this.drag(target, e, e.data.getLocalPosition(this));
             }
         });
 
+        // A flicked control coasts on every frame until it stops.
+        this.onCoast = (time, deltaTime) => this.coast(deltaTime);
+
+        this.onContainerEnd = e => {
+            if (!this.pointers.has(pointerIdOf(e))) {
+                this.onEnd(e);
+            }
+        };
+
         if (container instanceof Element) {
-            container.addEventListener('pointerup', e => this.onEnd(e), false);
-            container.addEventListener('pointercancel', e => this.onEnd(e), false);
-            container.addEventListener('pointerleave', e => this.onEnd(e), false);
-            container.addEventListener('pointerout', e => this.onEnd(e), false);
-            container.addEventListener('mouseup', e => this.onEnd(e), false);
-            container.addEventListener('mousecancel', e => this.onEnd(e), false);
-            container.addEventListener('mouseleave', e => this.onEnd(e), false);
-            container.addEventListener('mouseout', e => this.onEnd(e), false);
+            container.addEventListener('pointerup', this.onContainerEnd, false);
+            container.addEventListener('pointercancel', this.onContainerEnd, false);
+            container.addEventListener('mouseup', this.onContainerEnd, false);
         } else {
             container.interactive = true;
-            container.on('pointerup', e => this.onEnd(e));
-            container.on('pointercancel', e => this.onEnd(e));
-            container.on('pointerleave', e => this.onEnd(e));
-            container.on('pointerout', e => this.onEnd(e));
+            container.on('pointerup', this.onContainerEnd);
+            container.on('pointerupoutside', this.onContainerEnd);
+            container.on('pointercancel', this.onContainerEnd);
         }
 
         // Slider
@@ -317,52 +673,120 @@ export class Slider extends PIXI.Container {
         this.sliderObj = sliderObj;
         this.addChild(sliderObj);
 
-        // Control
+        // Active track
         //-----------------
-        let control = new PIXI.Graphics();
-        control.x = this.opts.controlRadius + this.valueToPixel(this.opts.value);
-        control.y = this.opts.controlRadius;
+        // The active track is drawn once over the whole length and cropped by a mask. Moving a control only
+        // moves and scales the mask, the track itself is not redrawn. A curved track cannot be cropped by a
+        // rectangle, only its active part is drawn instead.
+        let activeObj = new PIXI.Graphics();
+        this.activeObj = activeObj;
+        this.addChild(activeObj);
 
-        // pointerdown on the control for dragndrop
-        control.on('pointerdown', e => {
-            control.event = e;
-            control.delta = e.data.getLocalPosition(this.control).x;
-            control.dragging = true;
+        if (!this.curved) {
+            activeObj.mask = new PIXI.Graphics();
+            this.addChild(activeObj.mask);
+        }
+
+        // Range
+        //-----------------
+        let rangeObj = new PIXI.Graphics();
+        rangeObj.visible = this.opts.range;
 
-            if (this.opts.onStart) {
-                this.opts.onStart.call(this, e, this);
+        // pointerdown on the filled range to drag both controls at once
+        rangeObj.on('pointerdown', e => {
+            // A second finger on the held range is ignored.
+            if (rangeObj.dragging) {
+                return
             }
+
+            const position = e.data.getLocalPosition(this);
+            rangeObj.event = e;
+            rangeObj.delta = this.positionToPixel(position);
+            rangeObj.pixels = this._values.map(value => this.valueToPixel(value));
+            rangeObj.dragging = true;
+            rangeObj.pointerId = e.data.pointerId;
+            this.capturePointer(e);
+            this.focus(false);
+            this.showIndicators(this.controls);
+            this.notify('onStart', e, rangeObj);
         });
 
-        this.control = control;
+        this.rangeObj = rangeObj;
+        this.addChild(rangeObj);
 
-        this.addChild(this.control);
+        // Ticks
+        //-----------------
+        this.ticksObj = new PIXI.Graphics();
+        this.labelsObj = new PIXI.Container();
+        this.addChild(this.ticksObj, this.labelsObj);
+
+        // Controls
+        //-----------------
+        this.controls = this._values.map((value, index) => this.createControl(index));
+        this.control = this.controls[0];
 
         // interaction
         //-----------------
         this.sliderObj.on('pointerover', e => {
-            gsap.to(this.control, this.theme.fast, { alpha: 0.83 });
+            gsap.to(this.controls, this.theme.fast, { alpha: 0.83 });
         });
 
         this.sliderObj.on('pointerout', e => {
-            gsap.to(this.control, this.theme.fast, { alpha: 1 });
+            gsap.to(this.controls, this.theme.fast, { alpha: 1 });
         });
 
+        // Press on the slider bar
         this.sliderObj.on('pointerdown', e => {
-            this.sliderObj.pointerdowned = true;
-            gsap.to(this.control, this.theme.fast, { alpha: 0.7 });
+            this.focus(false);
+            gsap.to(this.controls, this.theme.fast, { alpha: 0.7 });
+            this.pressTrack(e);
         });
 
-        // Click on the slider bar
         this.sliderObj.on('pointerup', e => {
-            if (this.sliderObj.pointerdowned) {
-                this.sliderObj.pointerdowned = false;
-                const position = e.data.getLocalPosition(this.control.parent);
-                this.value = this.pixelToValue(position.x - this.opts.controlRadius);
-                gsap.to(this.control, this.theme.fast, { alpha: 0.83 });
-            }
+            this.stopPaging(e);
+            gsap.to(this.controls, this.theme.fast, { alpha: 0.83 });
         });
 
+        this.sliderObj.on('pointerupoutside', e => this.stopPaging(e));
+        this.sliderObj.on('pointercancel', e => this.stopPaging(e));
+
+        // keyboard
+        //-----------------
+        this.focusRing = new PIXI.Graphics();
+        this.focusRing.visible = false;
+
+        this.onKeyDown = e => this.keyDown(e);
+        this.onKeyUp = e => this.keyUp(e);
+        this.onWindowPointerDown = e => this.blur();
+
+        if (this.opts.keyboard) {
+            window.addEventListener('keydown', this.onKeyDown, false);
+            window.addEventListener('keyup', this.onKeyUp, false);
+        }
+
+        if (this.opts.keyboard || this.opts.accessibility) {
+            // Capturing runs before the pointerdown of PIXI, which focuses the pressed slider again.
+            window.addEventListener('pointerdown', this.onWindowPointerDown, true);
+            sliders.push(this);
+        }
+
+        // With the accessibility layer the elements are in the tab order of the page, otherwise the canvas.
+        if (this.opts.keyboard && !this.opts.accessibility && this.opts.renderer) {
+            Slider.addToTabOrder(this.opts.renderer.view);
+        }
+
+        // wheel
+        //-----------------
+        this.on('pointerover', e => (this.hovered = true));
+        this.on('pointerout', e => (this.hovered = false));
+
+        this.onWheel = e => this.wheel(e);
+
+        if (this.opts.wheel) {
+            // Not passive, the page must not scroll while the pointer is over the slider.
+            window.addEventListener('wheel', this.onWheel, { passive: false });
+        }
+
         // disabled
         //-----------------
         this.disabled = this.opts.disabled;
@@ -384,6 +808,60 @@ export class Slider extends PIXI.Container {
         return this
     }
 
+    /**
+     * Creates a control (thumb) for the value with the given index and adds it to the slider.
+     *
+     * @private
+     * @param {number} index - The index of the value in the ordered list of values.
+     * @return {PIXI.Graphics} The created control.
+     */
+    createControl(index) {
+        let control = new PIXI.Graphics();
+        control.id = PIXI.utils.uid();
+        control.index = index;
+        control.interactive = !this._disabled;
+        control.buttonMode = !this._disabled;
+        control.interactiveChildren = false;
+
+        this.placeControl(control);
+
+        // pointerdown on the control for dragndrop
+        control.on('pointerdown', e => {
+            const local = e.data.getLocalPosition(control);
+            // On an arc or a path the offset is measured along the track, not along the x axis of the control.
+            const delta = this.curved
+                ? this.positionToPixel(e.data.getLocalPosition(this)) - this.positionToPixel(control.position)
+                : this.vertical
+                ? local.y
+                : local.x;
+
+            if (this.startDrag(control, e, delta)) {
+                this.notify('onStart', e, control);
+            }
+        });
+
+        // accessibility
+        if (this.opts.accessibility) {
+            control.element = this.createElement(control);
+        }
+
+        // value indicator
+        if (this.opts.valueIndicator === 'drag' || this.opts.valueIndicator === 'always') {
+            let indicator = new PIXI.Container();
+            indicator.background = new PIXI.Graphics();
+            indicator.text = new PIXI.Text('', this.theme.textStyleSmall);
+            indicator.text.anchor.set(0.5);
+            indicator.alpha = this.opts.valueIndicator === 'always' ? 1 : 0;
+            indicator.addChild(indicator.background, indicator.text);
+            control.indicator = indicator;
+            control.addChild(indicator);
+        }
+
+        this.addChild(control);
+
+        return control
+    }
+
     /**
      * Should be called to refresh the layout of the slider. Can be used after resizing.
      *
@@ -397,6 +875,86 @@ export class Slider extends PIXI.Container {
         // draw
         //-----------------
         this.draw();
+        this.updateElements();
+
+        return this
+    }
+
+    /**
+     * Changes options of the slider after its creation. The options are validated like in the
+     * constructor, the values are restricted to the new range and the slider is redrawn once.
+     * Changing value, low, high or values animates the controls like setting the properties. Values
+     * which change with the range or the step are reported like changes by code.
+     * The options container, range, options, keyboard, wheel, accessibility, valueIndicator and
+     * tooltip can only be given to the constructor.
+     *
+     * @example
+     * // Resize and rescale a slider
+     * slider.set({ width: 400, min: -100, max: 100, activeFill: 0xff0000 })
+     *
+     * // Set the value without calling onUpdate and onComplete or emitting input and change
+     * slider.set({ value: 50 }, { silent: true })
+     *
+     * @param {object} opts - The options to change, see the constructor.
+     * @param {object} [options] - Options for the change itself.
+     * @param {boolean} [options.silent=false] - Change the values without reporting it to the callbacks and listeners?
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    set(opts = {}, { silent = false } = {}) {
+        const changes = Object.assign({}, opts);
+        const requested = {};
+
+        ['value', 'low', 'high', 'values'].forEach(name => {
+            if (changes[name] !== undefined) {
+                requested[name] = changes[name];
+            }
+            delete changes[name];
+        });
+
+        // These options create objects or listeners in setup.
+        ['id', 'container', 'range', 'options', 'keyboard', 'wheel', 'accessibility', 'valueIndicator', 'tooltip']
+            .forEach(name => delete changes[name]);
+
+        const multiple = this.opts.values;
+        const previous = this.values;
+
+        this.configure(Object.assign({}, this.givenOpts, { id: this.id }, changes));
+        this.opts.values = this.opts.range ? this.opts.values : multiple;
+
+        // A curved track draws only its active part instead of cropping it with a mask.
+        if (this.curved && this.activeObj.mask) {
+            const mask = this.activeObj.mask;
+            this.activeObj.mask = null;
+            mask.destroy();
+        } else if (!this.curved && !this.activeObj.mask) {
+            this.activeObj.mask = new PIXI.Graphics();
+            this.addChildAt(this.activeObj.mask, this.getChildIndex(this.activeObj) + 1);
+        }
+
+        // Restrict the values to the new range and place the controls without animation.
+        this.stopAnimation();
+        this._values = this.normalizeValues(this._values);
+        this.controls.forEach(control => this.placeControl(control));
+
+        if (changes.disabled !== undefined) {
+            this.disabled = this.opts.disabled;
+        }
+
+        if (changes.visible !== undefined) {
+            this.visible = this.opts.visible;
+        }
+
+        this.layout();
+        this.changed();
+
+        // Values which were restricted to the new range or step are reported like changes by code.
+        if (!silent) {
+            this.report(this.opts.range ? this.rangeObj : null, previous);
+        }
+
+        this.silent = silent;
+        Object.keys(requested).forEach(name => (this[name] = requested[name]));
+        this.silent = false;
 
         return this
     }
@@ -411,164 +969,2388 @@ export class Slider extends PIXI.Container {
         const r = this.radius;
         const cr = this.opts.controlRadius;
         const w = this.opts.width;
-        const h = this.opts.height;
-        const x = cr + r;
-        const y = cr + r - h;
+        const p = this.vertical ? (a, b) => [b, a] : (a, b) => [a, b];
 
         this.sliderObj.clear();
-        this.sliderObj.beginFill(0xffffff, 0);
-        this.sliderObj.drawRect(0, 0, x + w + cr, cr * 2);
-        this.sliderObj.lineStyle(this.opts.strokeWidth, this.opts.stroke, this.opts.strokeAlpha);
-        this.sliderObj.beginFill(this.opts.fill, this.opts.fillAlpha);
-        this.sliderObj.moveTo(x, y);
-        this.sliderObj.lineTo(x + w, y);
-        this.sliderObj.arcTo(x + w + r, y, x + w + r, y + r, r);
-        this.sliderObj.lineTo(x + w + r, y + r + 1); // BUGFIX: If not specified, there is a small area without a stroke.
-        this.sliderObj.arcTo(x + w + r, y + h, x + w, y + h, r);
-        this.sliderObj.lineTo(x, y + h);
-        this.sliderObj.arcTo(x - r, y + h, x - r, y + r, r);
-        this.sliderObj.arcTo(x - r, y, x, y, r);
-        this.sliderObj.endFill();
 
-        // Draw control
-        this.control.clear();
-        this.control.lineStyle(this.opts.controlStrokeWidth, this.opts.controlStroke, this.opts.controlStrokeAlpha);
-        this.control.beginFill(this.opts.controlFill, this.opts.controlFillAlpha);
-        this.control.drawCircle(0, 0, cr - 1);
-        this.control.beginFill(this.opts.controlStroke, this.opts.controlStrokeAlpha);
-        this.control.drawCircle(0, 0, cr / 6);
-        this.control.endFill();
+        if (this.curved) {
+            const length = this.trackLength;
+            const outline = r * 2 + this.opts.strokeWidth * 2;
+            this.sliderObj.hitArea = this.trackArea(0, length, cr * 2);
+            this.drawSegment(this.sliderObj, 0, length, outline, this.opts.stroke, this.opts.strokeAlpha);
+            this.drawSegment(this.sliderObj, 0, length, r * 2, this.opts.fill, this.opts.fillAlpha);
+        } else {
+            // A straight track is hit by its shape, not by the area of a former arc or path.
+            this.sliderObj.hitArea = null;
+            this.sliderObj.beginFill(0xffffff, 0);
+            this.sliderObj.drawRect(0, 0, ...p(cr + r + w + cr, cr * 2));
+            this.sliderObj.lineStyle(this.opts.strokeWidth, this.opts.stroke, this.opts.strokeAlpha);
+            this.sliderObj.beginFill(this.opts.fill, this.opts.fillAlpha);
+            this.drawTrack(this.sliderObj);
+            this.sliderObj.endFill();
+
+            // Draw active track
+            this.activeObj.clear();
+            this.activeObj.beginFill(this.opts.activeFill, this.opts.activeFillAlpha);
+            this.drawTrack(this.activeObj);
+            this.activeObj.endFill();
+
+            this.activeObj.mask.clear();
+            this.activeObj.mask.beginFill(0xffffff);
+            this.activeObj.mask.drawRect(0, 0, 1, 1);
+            this.activeObj.mask.endFill();
+        }
+
+        this.updateActive();
+
+        // Draw range
+        this.drawRange();
+
+        // Draw ticks
+        this.drawTicks();
+
+        // Draw controls
+        this.controls.forEach(control => this.drawControl(control));
+        this.updateIndicators();
+
+        // Draw focus ring
+        this.drawFocusRing();
 
         return this
     }
 
     /**
-     * Executed, when the slider control movement ended.
+     * Draws the outline of the track (a pill) with the current fill and line style of the given
+     * graphics.
      *
      * @private
+     * @param {PIXI.Graphics} graphics
      * @return {Slider} A reference to the slider for chaining.
      */
-    onEnd(e) {
-        if (this.control.dragging) {
-            this.control.event = null;
-            this.control.dragging = false;
-            if (this.opts.onComplete) {
-                this.opts.onComplete.call(this, e, this);
-            }
-        }
+    drawTrack(graphics) {
+        const r = this.radius;
+        const cr = this.opts.controlRadius;
+        const w = this.opts.width;
+        const h = this.opts.height;
+        const x = cr + r;
+        const y = cr + r - h;
+
+        // The track is described along its main axis (a) and its cross axis (b). For a vertical
+        // slider both axes are swapped, which draws the same pill rotated by 90 degrees.
+        const p = this.vertical ? (a, b) => [b, a] : (a, b) => [a, b];
+
+        graphics.moveTo(...p(x, y));
+        graphics.lineTo(...p(x + w, y));
+        graphics.arcTo(...p(x + w + r, y), ...p(x + w + r, y + r), r);
+        graphics.lineTo(...p(x + w + r, y + r + 1)); // BUGFIX: If not specified, there is a small area without a stroke.
+        graphics.arcTo(...p(x + w + r, y + h), ...p(x + w, y + h), r);
+        graphics.lineTo(...p(x, y + h));
+        graphics.arcTo(...p(x - r, y + h), ...p(x - r, y + r), r);
+        graphics.arcTo(...p(x - r, y), ...p(x, y), r);
 
         return this
     }
 
     /**
-     * Calculates the value for a given pixel.
+     * Draws a part of an arc track as a line with round caps.
      *
      * @private
-     * @param {number} value
-     * @returns  {number} The calucalted pixel.
+     * @param {PIXI.Graphics} graphics
+     * @param {number} from - The start angle in radians (see pixelToAngle).
+     * @param {number} to - The end angle in radians.
+     * @param {number} width - The line width.
+     * @param {number} color - The color as a hex value.
+     * @param {number} alpha - The alpha value.
+     * @return {Slider} A reference to the slider for chaining.
      */
-    valueToPixel(value) {
-        if (value < this.opts.min) {
-            value = this.opts.min;
-        } else if (value > this.opts.max) {
-            value = this.opts.max;
-        }
-        return (this.opts.width * (value - this.opts.min)) / (this.opts.max - this.opts.min)
+    drawArc(graphics, from, to, width, color, alpha) {
+        const { center, radius } = this.opts.arc;
+        const [start, end] = [Math.min(from, to), Math.max(from, to)];
+
+        graphics.lineStyle({ width, color, alpha, cap: PIXI.LINE_CAP.ROUND });
+        graphics.moveTo(center.x + radius * Math.cos(start), center.y + radius * Math.sin(start));
+        graphics.arc(center.x, center.y, radius, start, end);
+
+        return this
     }
 
     /**
-     * Calculates the pixel for a given value.
+     * Draws a part of a curved track (an arc or a path) as a line with round caps.
      *
      * @private
-     * @param {number} pixel
-     * @returns {number} The calucalted value.
+     * @param {PIXI.Graphics} graphics
+     * @param {number} from - The distance along the track where the part starts.
+     * @param {number} to - The distance along the track where the part ends.
+     * @param {number} width - The line width.
+     * @param {number} color - The color as a hex value.
+     * @param {number} alpha - The alpha value.
+     * @return {Slider} A reference to the slider for chaining.
      */
-    pixelToValue(pixel) {
-        if (pixel < 0) {
-            pixel = 0;
-        } else if (pixel > this.opts.width) {
-            pixel = this.opts.width;
+    drawSegment(graphics, from, to, width, color, alpha) {
+        if (this.opts.arc) {
+            return this.drawArc(graphics, this.pixelToAngle(from), this.pixelToAngle(to), width, color, alpha)
         }
-        return this.opts.min + ((this.opts.max - this.opts.min) * pixel) / this.opts.width
+
+        const [first, ...points] = this.path.between(from, to);
+
+        graphics.lineStyle({ width, color, alpha, cap: PIXI.LINE_CAP.ROUND, join: PIXI.LINE_JOIN.ROUND });
+        graphics.moveTo(first.x, first.y);
+        points.forEach(point => graphics.lineTo(point.x, point.y));
+
+        return this
     }
 
     /**
-     * Gets or sets the value.
+     * Creates the hit area of a part of a curved track. A position hits if its projection onto the
+     * track lies in the part and is close enough.
      *
-     * @member {number}
+     * @private
+     * @param {number} from - The distance along the track where the part starts.
+     * @param {number} to - The distance along the track where the part ends.
+     * @param {number} width - The width of the hit area across the track.
+     * @returns {object} The hit area, an object with a contains function (see PIXI.IHitArea).
      */
-    get value() {
-        return Math.round(this._value)
-    }
-    set value(value) {
-        if (value < this.opts.min) {
-            value = this.opts.min;
-        } else if (value > this.opts.max) {
-            value = this.opts.max;
+    trackArea(from, to, width) {
+        return {
+            contains: (x, y) => {
+                const pixel = this.positionToPixel(new PIXI.Point(x, y));
+                const point = this.pixelToPosition(pixel);
+                return pixel >= from && pixel <= to && Math.hypot(point.x - x, point.y - y) <= width / 2
+            }
         }
-        this._value = value;
-
-        const x = this.valueToPixel(value) + this.opts.controlRadius;
-
-        gsap.to(this.control, this.theme.fast, { x });
     }
 
     /**
-     * Gets or sets the disabled state. When disabled, the slider cannot be clicked.
+     * Draws a control of the slider.
      *
-     * @member {boolean}
+     * @private
+     * @param {PIXI.Graphics} control
+     * @return {Slider} A reference to the slider for chaining.
      */
-    get disabled() {
-        return this._disabled
-    }
-    set disabled(value) {
-        this._disabled = value;
+    drawControl(control) {
+        const cr = this.opts.controlRadius;
 
-        if (this._disabled) {
-            this.interactive = false;
-            this.sliderObj.interactive = false;
-            this.control.interactive = false;
-            this.control.buttonMode = false;
-            this.alpha = 0.5;
-        } else {
-            this.interactive = true;
-            this.sliderObj.interactive = true;
-            this.control.interactive = true;
-            this.control.buttonMode = true;
-            this.alpha = 1;
-        }
+        control.clear();
+        control.lineStyle(this.opts.controlStrokeWidth, this.opts.controlStroke, this.opts.controlStrokeAlpha);
+        control.beginFill(this.opts.controlFill, this.opts.controlFillAlpha);
+        control.drawCircle(0, 0, cr - 1);
+        control.beginFill(this.opts.controlStroke, this.opts.controlStrokeAlpha);
+        control.drawCircle(0, 0, cr / 6);
+        control.endFill();
+
+        return this
     }
 
     /**
-     * Shows the slider (sets his alpha values to 1).
+     * Draws the focus ring around the active control. The ring is only visible when the slider got
+     * the focus by keyboard or is operated with the keyboard.
      *
+     * @private
      * @return {Slider} A reference to the slider for chaining.
      */
-    show() {
-        this.opts.strokeAlpha = 1;
-        this.opts.fillAlpha = 1;
-        this.opts.controlStrokeAlpha = 1;
-        this.opts.controlFillAlpha = 1;
+    drawFocusRing() {
+        const control = this.currentControl;
+        const width = Math.max(this.theme.strokeActiveWidth, 2);
 
-        this.layout();
+        this.focusRing.clear();
+        this.focusRing.lineStyle(width, this.theme.primaryColor, this.theme.strokeActiveAlpha);
+        this.focusRing.drawCircle(0, 0, this.opts.controlRadius + width + 2);
+        this.focusRing.visible = this.focused && this.focusVisible;
+
+        if (this.focusRing.parent !== control) {
+            control.addChildAt(this.focusRing, 0);
+        }
 
         return this
     }
 
     /**
-     * Hides the slider (sets his alpha values to 1).
+     * Draws the tick marks and their labels.
      *
+     * @private
      * @return {Slider} A reference to the slider for chaining.
      */
-    hide() {
-        this.opts.strokeAlpha = 0;
-        this.opts.fillAlpha = 0;
-        this.opts.controlStrokeAlpha = 0;
-        this.opts.controlFillAlpha = 0;
+    drawTicks() {
+        const ticks = this.opts.ticks;
+        const { min, max, origin } = this.opts;
+        const cr = this.opts.controlRadius;
 
-        this.layout();
+        // A point at a pixel along the track and at a distance (b) across the track, measured from the edge of the
+        // area of the controls (0 above the track, cr in the middle, cr * 2 below the track).
+        const point = (pixel, b) => this.pixelToPosition(pixel, b - cr);
 
-        return this
+        this.ticksObj.clear();
+        this.labelsObj.removeChildren().forEach(label => label.destroy());
+
+        // The origin of a bipolar slider is marked by a tick across the track.
+        if (origin > min && origin < max) {
+            const pixel = this.valueToPixel(origin);
+            const b = this.radius + 4;
+            this.ticksObj.lineStyle(2, this.opts.stroke, this.opts.strokeAlpha);
+            const [start, end] = [point(pixel, cr - b), point(pixel, cr + b)];
+            this.ticksObj.moveTo(start.x, start.y);
+            this.ticksObj.lineTo(end.x, end.y);
+        }
+
+        if (!ticks) {
+            return this
+        }
+        const major = this.tickValues(ticks.major);
+        const minor = this.minorTickValues(major, ticks.minor);
+
+        // The ticks start at the edge of the area of the controls (below or above) or are centered on the track
+        // (over). The labels follow at the end of the major ticks.
+        const line = (value, length) => {
+            const pixel = this.valueToPixel(value);
+            const b = ticks.position === 'above' ? -length : ticks.position === 'over' ? cr - length / 2 : cr * 2;
+            const [start, end] = [point(pixel, b), point(pixel, b + length)];
+            this.ticksObj.moveTo(start.x, start.y);
+            this.ticksObj.lineTo(end.x, end.y);
+            return pixel
+        };
+
+        this.ticksObj.lineStyle(ticks.width, ticks.color, ticks.alpha);
+        minor.forEach(value => line(value, ticks.minorLength));
+
+        let previous = null;
+
+        major.forEach((value, index) => {
+            const pixel = line(value, ticks.length);
+
+            if (!ticks.labels) {
+                return
+            }
+
+            const text = ticks.formatter ? ticks.formatter.call(this, value, index) : this.formatValue(value);
+            const label = new PIXI.Text(text, ticks.textStyle);
+            const above = ticks.position === 'above';
+            const b = above ? -ticks.length - 2 : ticks.position === 'over' ? cr * 2 : cr * 2 + ticks.length + 2;
+
+            // The label grows away from the track, along the direction across the track at its position.
+            const position = point(pixel, b);
+            const normal = point(pixel, b + 1);
+            const [nx, ny] = [normal.x - position.x, normal.y - position.y].map(n => (above ? -n : n));
+            label.anchor.set(0.5 - nx / 2, 0.5 - ny / 2);
+            label.position.copyFrom(position);
+
+            // The labels are ordered along the track, so it is enough to compare with the last visible one.
+            const size = Math.abs(ny) * label.width + Math.abs(nx) * label.height;
+            const overlapping = previous && Math.abs(pixel - previous.pixel) < (size + previous.size) / 2 + 2;
+            if (ticks.hideOverlapping && overlapping) {
+                label.destroy();
+                return
+            }
+            previous = { pixel, size };
+
+            this.labelsObj.addChild(label);
+        });
+
+        return this
+    }
+
+    /**
+     * Calculates the values of the major ticks.
+     *
+     * @private
+     * @param {number|number[]} [major] - The distance between two ticks or a list of values.
+     * @returns {number[]} The values of the ticks.
+     */
+    tickValues(major) {
+        const { min, max } = this.opts;
+
+        if (Array.isArray(major)) {
+            return major.map(item => this.toValue(item)).filter(value => value >= min && value <= max)
+        }
+
+        if (major > 0) {
+            const precision = Math.max(decimals(major), decimals(min));
+            const values = [];
+            for (let value = min; value <= max; value = round(value + major, precision)) {
+                values.push(value);
+            }
+            return values
+        }
+
+        if (this.opts.options) {
+            return this.opts.options.map((item, index) => index)
+        }
+
+        return this.valueScale.ticks(min, max, Math.max(Math.floor(this.trackLength / 80), 1))
+    }
+
+    /**
+     * Calculates the values of the minor ticks.
+     *
+     * @private
+     * @param {number[]} major - The values of the major ticks.
+     * @param {number|number[]} minor - The number of minor ticks between two major ticks or a list of values.
+     * @returns {number[]} The values of the ticks.
+     */
+    minorTickValues(major, minor) {
+        if (Array.isArray(minor)) {
+            return minor.filter(value => value >= this.opts.min && value <= this.opts.max)
+        }
+
+        const values = [];
+
+        for (let i = 1; i < major.length && minor > 0; i++) {
+            const distance = (major[i] - major[i - 1]) / (minor + 1);
+            for (let j = 1; j <= minor; j++) {
+                values.push(major[i - 1] + j * distance);
+            }
+        }
+
+        return values
+    }
+
+    /**
+     * Crops the active track to the part between the origin and the control (the control farthest
+     * away from the origin if there are several). Follows the current positions of the controls, so
+     * it can be called while they are tweened. Range sliders show the filled range instead.
+     *
+     * @private
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    updateActive() {
+        const cr = this.opts.controlRadius;
+        const w = this.opts.width;
+        const p = this.vertical ? (a, b) => [b, a] : (a, b) => [a, b];
+
+        if (this.curved) {
+            const from = this.valueToPixel(this.opts.origin);
+            const to = this.controls
+                .map(control => this.positionToPixel(control.position))
+                .reduce((farthest, a) => (Math.abs(a - from) > Math.abs(farthest - from) ? a : farthest), from);
+
+            this.activeObj.clear();
+            if (to !== from) {
+                const [fill, alpha] = [this.opts.activeFill, this.opts.activeFillAlpha];
+                this.drawSegment(this.activeObj, from, to, this.radius * 2, fill, alpha);
+            }
+            this.activeObj.visible = !this.opts.range;
+
+            return this
+        }
+
+        // At the ends of the track the active part includes the rounded cap.
+        const pixel = this.valueToPixel(this.opts.origin);
+        const a0 = pixel <= 0 ? cr : pixel >= w ? cr + w + this.radius * 2 : cr + pixel;
+        const a1 = this.controls
+            .map(control => (this.vertical ? control.y : control.x))
+            .reduce((farthest, a) => (Math.abs(a - a0) > Math.abs(farthest - a0) ? a : farthest), a0);
+
+        const mask = this.activeObj.mask;
+        mask.position.set(...p(Math.min(a0, a1), 0));
+        mask.scale.set(...p(Math.abs(a1 - a0), cr * 2));
+        this.activeObj.visible = !this.opts.range && a1 !== a0;
+
+        return this
+    }
+
+    /**
+     * Draws the filled track between the low and the high control of a range slider. Follows the
+     * current positions of the controls, so it can be called while they are tweened.
+     *
+     * @private
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    drawRange() {
+        if (!this.opts.range) {
+            return this
+        }
+
+        const r = this.radius;
+        const cr = this.opts.controlRadius;
+        const [a0, a1] = this.controls.map(control => (this.vertical ? control.y : control.x)).sort((a, b) => a - b);
+        const p = this.vertical ? (a, b) => [b, a] : (a, b) => [a, b];
+
+        this.rangeObj.clear();
+
+        if (this.curved) {
+            const [from, to] = this.controls
+                .map(control => this.positionToPixel(control.position))
+                .sort((a, b) => a - b);
+            this.drawSegment(this.rangeObj, from, to, r * 2, this.opts.rangeFill, this.opts.rangeFillAlpha);
+            this.rangeObj.hitArea = this.trackArea(from, to, cr * 2);
+
+            return this
+        }
+
+        this.rangeObj.beginFill(this.opts.rangeFill, this.opts.rangeFillAlpha);
+        this.rangeObj.drawRect(...p(a0, cr - r), ...p(a1 - a0, r * 2));
+        this.rangeObj.endFill();
+        this.rangeObj.hitArea = new PIXI.Rectangle(...p(a0, 0), ...p(a1 - a0, cr * 2));
+
+        return this
+    }
+
+    /**
+     * Executed, when the slider control movement ended. Only the drag of the released pointer ends,
+     * an event without a pointer ends all drags.
+     *
+     * @private
+     * @param {PIXI.InteractionEvent|Event} e
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    onEnd(e) {
+        const pointerId = pointerIdOf(e);
+
+        [...this.controls, this.rangeObj].forEach(target => {
+            if (target.dragging && (pointerId === null || target.pointerId === pointerId)) {
+                this.releasePointer(target.pointerId);
+                target.event = null;
+                target.dragging = false;
+                target.pointerId = null;
+                if (target !== this.rangeObj) {
+                    // A flicked control completes when it stops.
+                    if (this.fling(target, e)) {
+                        return
+                    }
+                    this.stickToOrigin(target);
+                }
+                this.hideIndicators(target === this.rangeObj ? this.controls : [target]);
+                this.notify('onComplete', e, target);
+            }
+        });
+
+        return this
+    }
+
+    /**
+     * Starts to drag a control with the pointer of the given event. The caller notifies onStart.
+     *
+     * @private
+     * @param {PIXI.Graphics} control
+     * @param {PIXI.InteractionEvent} e - The pointerdown event.
+     * @param {number} delta - The distance of the pointer from the center of the control along the track.
+     * @return {boolean} Was the drag started? A control which is held by another pointer cannot be dragged.
+     */
+    startDrag(control, e, delta) {
+        if (control.dragging) {
+            return false
+        }
+
+        if (control.momentum) {
+            this.endMomentum(control, e);
+        }
+
+        control.event = e;
+        control.delta = delta;
+        control.dragging = true;
+        control.pointerId = e.data.pointerId;
+        control.motion = {
+            filter: new LowPassFilter(0.5, 5),
+            pixel: this.valueToPixel(this._values[control.index]),
+            time: performance.now(),
+            velocity: 0
+        };
+        this.capturePointer(e);
+        this.activeControl = control;
+        this.focus(false);
+        this.showIndicators([control]);
+
+        return true
+    }
+
+    /**
+     * Handles a press on the track according to the trackPress option.
+     *
+     * @private
+     * @param {PIXI.InteractionEvent} e - The pointerdown event.
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    pressTrack(e) {
+        const position = e.data.getLocalPosition(this);
+        const value = this.pixelToValue(this.positionToPixel(position));
+        const control = this.nearestControl(value);
+
+        if (control.dragging || this.paging) {
+            return this
+        }
+
+        if (control.momentum) {
+            this.endMomentum(control, e);
+        }
+
+        if (this.opts.trackPress === 'jump') {
+            // The control jumps under the pointer and is dragged from there. The drag starts before the
+            // jump, so the jump is a part of it (e.g. a media scrubber does not seek yet).
+            this.notify('onStart', e, control);
+            this.startDrag(control, e, 0);
+            this.moveControl(control, value);
+            const dragged = this.draggedBy(e.data.pointerId);
+            // The jump does not count for the velocity of a fling.
+            if (dragged.motion) {
+                dragged.motion.pixel = this.valueToPixel(this._values[dragged.index]);
+            }
+            this.notify('onUpdate', e, dragged);
+        } else if (this.opts.trackPress === 'page') {
+            this.notify('onStart', e, control);
+            this.paging = { control, value, event: e, timeout: null };
+            this.showIndicators([control]);
+            this.pageStep(300);
+        }
+
+        return this
+    }
+
+    /**
+     * Moves the control by a large step towards the pressed value and repeats this after the given
+     * delay, until the track is released.
+     *
+     * @private
+     * @param {number} delay - The delay of the next step in milliseconds.
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    pageStep(delay) {
+        const { control, value, event } = this.paging;
+        const current = this._values[control.index];
+        const stepped = this.stepValue(current, value > current ? 1 : -1, true);
+
+        this.moveControl(control, value > current ? Math.min(stepped, value) : Math.max(stepped, value));
+
+        if (this._values[control.index] !== current) {
+            this.notify('onUpdate', event, control);
+        }
+
+        this.paging.timeout = window.setTimeout(() => this.pageStep(100), delay);
+
+        return this
+    }
+
+    /**
+     * Ends the page steps of a press on the track.
+     *
+     * @private
+     * @param {PIXI.InteractionEvent} e - The event which released the track.
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    stopPaging(e) {
+        if (this.paging) {
+            const control = this.paging.control;
+            window.clearTimeout(this.paging.timeout);
+            this.paging = null;
+            this.hideIndicators([control]);
+            this.notify('onComplete', e, control);
+        }
+
+        return this
+    }
+
+    /**
+     * Moves a dragged control or the dragged range to a position of its pointer.
+     *
+     * @private
+     * @param {PIXI.Graphics} target - The dragged control or the range object.
+     * @param {PIXI.InteractionEvent|PointerEvent} e - The event which moved the pointer.
+     * @param {PIXI.Point} position - The position of the pointer in the local coordinate system of the slider.
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    drag(target, e, position) {
+        if (target === this.rangeObj) {
+            this.moveRange(this.positionToPixel(position) - this.rangeObj.delta);
+            this.notify('onUpdate', e, this.rangeObj);
+        } else {
+            const pointerId = target.pointerId;
+            this.moveControl(target, this.dragValue(target, position));
+            // The drag may have been handed over to a stacked control.
+            const control = this.draggedBy(pointerId);
+            this.trackMotion(control);
+            this.notify('onUpdate', e, control);
+        }
+
+        return this
+    }
+
+    /**
+     * Estimates the velocity of a dragged control from its last moves. The velocities are smoothed
+     * with a low pass filter, so a single jerky move does not decide the fling.
+     *
+     * @private
+     * @param {PIXI.Graphics} control
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    trackMotion(control) {
+        const motion = control.motion;
+        const time = performance.now();
+
+        if (motion && time > motion.time) {
+            const pixel = this.valueToPixel(this._values[control.index]);
+            motion.velocity = motion.filter.next((pixel - motion.pixel) / (time - motion.time));
+            Object.assign(motion, { pixel, time });
+        }
+
+        return this
+    }
+
+    /**
+     * Lets a released control coast on with the velocity of the drag, if momentum is enabled and
+     * the control was still moving when it was released.
+     *
+     * @private
+     * @param {PIXI.Graphics} control
+     * @param {PIXI.InteractionEvent|Event} e - The event which released the control.
+     * @return {boolean} Does the control coast?
+     */
+    fling(control, e) {
+        const motion = control.motion;
+        control.motion = null;
+
+        // A pointer which rested before the release does not fling.
+        if (!this.opts.momentum || !motion || performance.now() - motion.time > 100) {
+            return false
+        }
+
+        if (Math.abs(motion.velocity) < 0.05) {
+            return false
+        }
+
+        const pixel = this.valueToPixel(this._values[control.index]);
+        control.momentum = { velocity: motion.velocity, pixel, event: e };
+        gsap.ticker.add(this.onCoast);
+
+        return true
+    }
+
+    /**
+     * Moves the coasting controls for the time since the last frame. The velocity (in pixel per
+     * millisecond) decreases by the friction until the control stops.
+     *
+     * @private
+     * @param {number} deltaTime - The time since the last frame in milliseconds.
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    coast(deltaTime) {
+        const { friction, ends } = this.opts.momentum;
+        const length = this.trackLength;
+
+        this.controls
+            .filter(control => control.momentum)
+            .forEach(control => {
+                const momentum = control.momentum;
+                const current = this._values[control.index];
+                momentum.velocity *= Math.pow(friction, deltaTime / (1000 / 60));
+                momentum.pixel += momentum.velocity * deltaTime;
+
+                if (momentum.pixel < 0 || momentum.pixel > length) {
+                    const end = momentum.pixel < 0 ? 0 : length;
+                    if (ends === 'bounce') {
+                        momentum.pixel = 2 * end - momentum.pixel;
+                        momentum.velocity *= -0.5;
+                    } else {
+                        momentum.pixel = end;
+                        momentum.velocity = 0;
+                    }
+                }
+
+                this.moveControl(control, this.pixelToValue(momentum.pixel));
+
+                if (this._values[control.index] !== current) {
+                    this.notify('onUpdate', momentum.event, control);
+                }
+
+                if (Math.abs(momentum.velocity) < 0.01) {
+                    this.endMomentum(control, momentum.event);
+                }
+            });
+
+        return this
+    }
+
+    /**
+     * Stops a coasting control and completes the change.
+     *
+     * @private
+     * @param {PIXI.Graphics} control
+     * @param {PIXI.InteractionEvent|Event} e - The event which stopped the control, or the release of the fling.
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    endMomentum(control, e) {
+        control.momentum = null;
+
+        if (!this.controls.some(control => control.momentum)) {
+            gsap.ticker.remove(this.onCoast);
+        }
+
+        this.stickToOrigin(control);
+        this.hideIndicators([control]);
+        this.notify('onComplete', e, control);
+
+        return this
+    }
+
+    /**
+     * Finds the control (or the range) which is dragged by a pointer.
+     *
+     * @private
+     * @param {number} pointerId
+     * @returns {PIXI.Graphics} The control, the range object or undefined.
+     */
+    draggedBy(pointerId) {
+        return [...this.controls, this.rangeObj].find(target => target.dragging && target.pointerId === pointerId)
+    }
+
+    /**
+     * Starts to track the pointer which started a drag on the page. The canvas (or the container
+     * element) captures the pointer, so its events keep coming when it leaves the canvas.
+     *
+     * @private
+     * @param {PIXI.InteractionEvent} e - The pointerdown event.
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    capturePointer(e) {
+        const renderer = this.opts.renderer;
+        const container = this.opts.container;
+
+        if (!renderer || !window.PointerEvent) {
+            return this
+        }
+
+        const pointerId = e.data.pointerId;
+        this.captureElement = container instanceof Element ? container : renderer.view;
+
+        try {
+            this.captureElement.setPointerCapture(pointerId);
+        } catch (error) {
+            // The pointer is not active anymore (or was emulated), it is still tracked on the page.
+        }
+
+        if (!this.pointers.size) {
+            window.addEventListener('pointermove', this.onPointerMove, false);
+            window.addEventListener('pointerup', this.onPointerUp, false);
+            window.addEventListener('pointercancel', this.onPointerUp, false);
+        }
+
+        this.pointers.add(pointerId);
+
+        return this
+    }
+
+    /**
+     * Stops to track a pointer of a drag.
+     *
+     * @private
+     * @param {number} pointerId
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    releasePointer(pointerId) {
+        if (!this.pointers.delete(pointerId)) {
+            return this
+        }
+
+        if (this.captureElement.hasPointerCapture && this.captureElement.hasPointerCapture(pointerId)) {
+            this.captureElement.releasePointerCapture(pointerId);
+        }
+
+        if (!this.pointers.size) {
+            window.removeEventListener('pointermove', this.onPointerMove, false);
+            window.removeEventListener('pointerup', this.onPointerUp, false);
+            window.removeEventListener('pointercancel', this.onPointerUp, false);
+        }
+
+        return this
+    }
+
+    /**
+     * Moves a released control to the origin if it is within the sticky distance.
+     *
+     * @private
+     * @param {PIXI.Graphics} control
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    stickToOrigin(control) {
+        const { origin, sticky } = this.opts;
+        const value = this._values[control.index];
+
+        if (sticky && value !== origin && Math.abs(this.valueToPixel(value) - this.valueToPixel(origin)) <= sticky) {
+            this.applyValue(control.index, origin);
+            this.tweenControls();
+        }
+
+        return this
+    }
+
+    /**
+     * Fades in the value indicators of the given controls (if they are only shown while dragging).
+     *
+     * @private
+     * @param {PIXI.Graphics[]} controls
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    showIndicators(controls) {
+        if (this.opts.valueIndicator === 'drag') {
+            const indicators = controls.map(control => control.indicator);
+            this.updateIndicators();
+            gsap.to(indicators, this.theme.fast, { alpha: 1 });
+        }
+
+        return this
+    }
+
+    /**
+     * Fades out the value indicators of the given controls (if they are only shown while dragging).
+     *
+     * @private
+     * @param {PIXI.Graphics[]} controls
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    hideIndicators(controls) {
+        if (this.opts.valueIndicator === 'drag') {
+            const indicators = controls.map(control => control.indicator);
+            gsap.to(indicators, this.theme.fast, { alpha: 0 });
+        }
+
+        return this
+    }
+
+    /**
+     * Updates the text, the background and the position of the value indicators.
+     *
+     * @private
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    updateIndicators() {
+        const cr = this.opts.controlRadius;
+        const padding = this.theme.padding / 2;
+
+        this.controls.forEach(control => {
+            const indicator = control.indicator;
+            if (!indicator) {
+                return
+            }
+
+            indicator.text.text = this.displayValue(this._values[control.index]);
+
+            const width = indicator.text.width + padding * 2;
+            const height = indicator.text.height + padding / 2;
+            indicator.background.clear();
+            indicator.background.beginFill(this.theme.primaryColor, this.theme.fillActiveAlpha);
+            indicator.background.drawRoundedRect(-width / 2, -height / 2, width, height, height / 2);
+            indicator.background.endFill();
+
+            if (this.vertical) {
+                indicator.position.set(-cr - padding - width / 2, 0);
+            } else {
+                indicator.position.set(0, -cr - padding - height / 2);
+            }
+        });
+
+        return this
+    }
+
+    /**
+     * Calls the callback with the given name and emits the matching events. Besides the event and
+     * the slider, the callback gets an object describing the moved thumb: its name (value, thumb,
+     * low, high, range or values), its index, its id (stable even if thumbs swap), its value and the
+     * values of all thumbs. For range sliders the low and the high value are added. For categorical
+     * sliders the values are the indices of the selected options and the selected item and items
+     * are added, as well as the option index (optionIndex) of the selected item. Note that index is
+     * the index of the thumb, not of the option. The source tells whether the user (user) or code (code) changed the value.
+     *
+     * The events get the same object, extended by the event (event) and the slider (slider):
+     * start when the user starts to change the value (onStart), input whenever the value changes
+     * (onUpdate), change when a change is completed and the value differs from the one at the start
+     * (onComplete) and end when the user stops to change the value (onComplete). Values set by code
+     * emit input and change, unless they are set silently (see set).
+     *
+     * @private
+     * @param {string} name - The name of the callback option, e.g. onUpdate.
+     * @param {PIXI.InteractionEvent|Event} e - The event which caused the callback.
+     * @param {PIXI.Graphics} target - The moved control, the range object or null for all controls.
+     * @param {string} [source=user] - Who changed the value, user or code.
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    notify(name, e, target, source = 'user') {
+        if (this.silent) {
+            return this
+        }
+
+        if (name === 'onStart') {
+            // The user takes over, an animation or a coasting control would fight the change. A coasting
+            // control completes before the new change starts, other controls coast on (multi-touch).
+            this.stopAnimation(target && target !== this.rangeObj ? [target] : this.controls);
+        }
+
+        const values = this.values;
+        let thumb;
+
+        if (!target || target === this.rangeObj) {
+            thumb = { thumb: target ? 'range' : 'values', index: null, id: null, value: values, values };
+        } else {
+            const index = target.index;
+            const label = this.opts.range ? (index ? 'high' : 'low') : this.opts.values ? 'thumb' : 'value';
+            thumb = { thumb: label, index, id: target.id, value: values[index], values };
+        }
+
+        if (this.opts.range) {
+            [thumb.low, thumb.high] = values;
+        }
+
+        if (this.opts.options) {
+            thumb.items = values.map(value => this.toItem(value));
+            thumb.item = thumb.index === null ? thumb.items : thumb.items[thumb.index];
+            thumb.optionIndex = thumb.index === null ? values : values[thumb.index];
+        }
+
+        thumb.source = source;
+
+        if (this.opts[name]) {
+            this.opts[name].call(this, e, this, thumb);
+        }
+
+        const detail = Object.assign({}, thumb, { event: e, slider: this });
+
+        // Every target (a control, the range or the whole slider) remembers the values at the start of
+        // its change, so the changes of several pointers on one slider are told apart.
+        const owner = target || this;
+        const [start, current] = [owner.startValues, this.valuesOf(target, values)];
+
+        switch (name) {
+            case 'onStart':
+                owner.startValues = current;
+                this.emit('start', detail);
+                break
+            case 'onUpdate':
+                this.emit('input', detail);
+                break
+            case 'onComplete':
+                if (!start || start.length !== current.length || start.some((value, i) => value !== current[i])) {
+                    this.emit('change', detail);
+                }
+                owner.startValues = null;
+                if (source === 'user') {
+                    this.emit('end', detail);
+                }
+                break
+        }
+
+        return this
+    }
+
+    /**
+     * Gets the values which belong to a target of the callbacks: the value of a control, or all
+     * values for the range and the whole slider.
+     *
+     * @private
+     * @param {PIXI.Graphics} target - A control, the range object or null for all controls.
+     * @param {number[]} values - The values of the slider.
+     * @returns {number[]} The values of the target.
+     */
+    valuesOf(target, values) {
+        return target && target !== this.rangeObj ? [values[target.index]] : values
+    }
+
+    /**
+     * Reports a change of the values made by code to the callbacks and listeners, if the values
+     * differ from the previous ones.
+     *
+     * @private
+     * @param {PIXI.Graphics} target - The changed control, the range object or null for all controls.
+     * @param {number[]} previous - The values before the change.
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    report(target, previous) {
+        const values = this.values;
+
+        if (values.length !== previous.length || values.some((value, index) => value !== previous[index])) {
+            (target || this).startValues = this.valuesOf(target, previous);
+            this.notify('onUpdate', null, target, 'code');
+            this.notify('onComplete', null, target, 'code');
+        }
+
+        return this
+    }
+
+    /**
+     * Moves a control to the given value while dragging. If the collision policy is block and
+     * several controls lie on top of each other, the drag is handed over to the control which can
+     * move in the requested direction.
+     *
+     * @private
+     * @param {PIXI.Graphics} control - The dragged control.
+     * @param {number} value - The requested value.
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    moveControl(control, value) {
+        const current = this._values[control.index];
+
+        if (this.opts.collision === 'block' && value !== current) {
+            const stacked = this.controls.filter(control => this._values[control.index] === current);
+            const other = value > current ? stacked[stacked.length - 1] : stacked[0];
+            // A control which is dragged by another pointer is not taken over.
+            if (other !== control && !other.dragging) {
+                if (control.dragging) {
+                    other.event = control.event;
+                    other.delta = control.delta;
+                    other.dragging = true;
+                    other.pointerId = control.pointerId;
+                    other.startValues = control.startValues;
+                    control.event = null;
+                    control.dragging = false;
+                    control.pointerId = null;
+                }
+                if (this.activeControl === control) {
+                    this.activeControl = other;
+                    this.drawFocusRing();
+                }
+                control = other;
+            }
+        }
+
+        this.applyValue(control.index, value);
+        this.controls.forEach(control => this.placeControl(control));
+        this.updateActive();
+        this.drawRange();
+        this.changed();
+
+        return this
+    }
+
+    /**
+     * Updates everything which depends on the values of the slider. Called whenever the values
+     * changed.
+     *
+     * @private
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    changed() {
+        this.updateIndicators();
+        this.updateElements();
+
+        return this
+    }
+
+    /**
+     * Creates the visually hidden input element of the accessibility layer for a control. Changes of
+     * the element (e.g. by a screen reader) are passed to the slider like a drag of the control.
+     *
+     * @private
+     * @param {PIXI.Graphics} control
+     * @return {HTMLInputElement} The element.
+     */
+    createElement(control) {
+        const element = document.createElement('input');
+        element.type = 'range';
+        element.tabIndex = 0;
+        Object.assign(element.style, {
+            position: 'absolute',
+            left: '0px',
+            top: '0px',
+            width: '1px',
+            height: '1px',
+            margin: '0px',
+            padding: '0px',
+            opacity: '0',
+            pointerEvents: 'none'
+        });
+
+        element.addEventListener('focus', e => {
+            this.activeControl = control;
+            if (!this.focused || this.currentControl !== control) {
+                this.focus();
+            }
+        });
+
+        element.addEventListener('blur', e => {
+            if (this.focused && !this.controls.some(control => control.element === e.relatedTarget)) {
+                this.blur();
+            }
+        });
+
+        element.addEventListener('input', e => {
+            if (!element.changing) {
+                element.changing = true;
+                this.notify('onStart', e, control);
+            }
+            this.moveControl(control, Number(element.value));
+            this.notify('onUpdate', e, control);
+        });
+
+        element.addEventListener('change', e => {
+            if (element.changing) {
+                element.changing = false;
+                this.notify('onComplete', e, control);
+            }
+        });
+
+        document.body.appendChild(element);
+
+        return element
+    }
+
+    /**
+     * Updates the value, the ARIA attributes and the position of the elements of the accessibility
+     * layer.
+     *
+     * @private
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    updateElements() {
+        const accessibility = this.opts.accessibility;
+
+        if (!accessibility) {
+            return this
+        }
+
+        const renderer = this.opts.renderer;
+        const rect = renderer ? renderer.view.getBoundingClientRect() : null;
+
+        this.controls.forEach(control => {
+            const element = control.element;
+            const index = control.index;
+            const value = round(this._values[index], this.opts.precision);
+
+            let label = accessibility.label;
+            if (this.opts.range) {
+                label = `${label} ${index ? 'maximum' : 'minimum'}`;
+            } else if (this.controls.length > 1) {
+                label = `${label} ${index + 1}`;
+            }
+
+            const text = accessibility.valueText
+                ? accessibility.valueText.call(this, this.toItem(value), this)
+                : this.displayValue(value);
+
+            element.min = this.opts.min;
+            element.max = this.opts.max;
+            element.step = this.opts.step || 'any';
+            element.value = value;
+            element.disabled = !!this.disabled;
+            element.setAttribute('aria-label', label);
+            element.setAttribute('aria-valuemin', this.opts.min);
+            element.setAttribute('aria-valuemax', this.opts.max);
+            element.setAttribute('aria-valuenow', value);
+            element.setAttribute('aria-valuetext', text);
+            element.setAttribute('aria-orientation', this.vertical ? 'vertical' : 'horizontal');
+
+            // The element covers the control on the page, so that touch exploration finds it.
+            if (rect && rect.width) {
+                const bounds = control.getBounds();
+                const scaleX = rect.width / renderer.screen.width;
+                const scaleY = rect.height / renderer.screen.height;
+                Object.assign(element.style, {
+                    left: `${rect.left + window.pageXOffset + bounds.x * scaleX}px`,
+                    top: `${rect.top + window.pageYOffset + bounds.y * scaleY}px`,
+                    width: `${bounds.width * scaleX}px`,
+                    height: `${bounds.height * scaleY}px`
+                });
+            }
+        });
+
+        return this
+    }
+
+    /**
+     * Creates the text which is displayed for a value, using the valueFormatter option if given.
+     *
+     * @private
+     * @param {number} value
+     * @returns {string} The text.
+     */
+    displayValue(value) {
+        if (this.opts.valueFormatter) {
+            return this.opts.valueFormatter.call(this, this.toItem(round(value, this.opts.precision)), this)
+        }
+        return this.formatValue(value)
+    }
+
+    /**
+     * Formats a value for display using the scale of the slider.
+     *
+     * @param {number} value
+     * @returns {string} The formatted value.
+     */
+    formatValue(value) {
+        if (this.opts.options) {
+            return String(this.toItem(value))
+        }
+        return this.valueScale.format(value, this.opts.precision)
+    }
+
+    /**
+     * Converts a value into the item of a categorical slider. Values of other sliders are returned
+     * unchanged.
+     *
+     * @private
+     * @param {number} value - The value, i.e. the index of the item.
+     * @returns {*} The item.
+     */
+    toItem(value) {
+        return this.opts.options ? this.opts.options[Math.round(value)] : value
+    }
+
+    /**
+     * Converts an item of a categorical slider into its value. Values of other sliders are returned
+     * unchanged.
+     *
+     * @private
+     * @param {*} item
+     * @returns {number} The value, i.e. the index of the item, or -1 if the item is not one of the options.
+     */
+    toValue(item) {
+        return this.opts.options ? this.opts.options.indexOf(item) : item
+    }
+
+    /**
+     * Sets the value of a control following the collision policy of the slider.
+     *
+     * @private
+     * @param {number} index - The index of the control.
+     * @param {number} value - The requested value.
+     * @returns {number} The index of the control afterwards, which differs from the given one when controls were
+     *     swapped.
+     */
+    applyValue(index, value) {
+        const values = this._values;
+        const gap = this.opts.minGap;
+        const last = values.length - 1;
+
+        value = this.snapValue(value);
+
+        switch (this.opts.collision) {
+            case 'push':
+                values[index] = clamp(value, this.opts.min + index * gap, this.opts.max - (last - index) * gap);
+                for (let i = index + 1; i <= last; i++) {
+                    values[i] = this.snapValue(Math.max(values[i], values[i - 1] + gap));
+                }
+                for (let i = index - 1; i >= 0; i--) {
+                    values[i] = this.snapValue(Math.min(values[i], values[i + 1] - gap));
+                }
+                break
+            case 'swap':
+                values[index] = clamp(value, this.opts.min, this.opts.max);
+                while (index < last && values[index] > values[index + 1]) {
+                    this.swapControls(index, ++index);
+                }
+                while (index > 0 && values[index] < values[index - 1]) {
+                    this.swapControls(index, --index);
+                }
+                break
+            default:
+                values[index] = this.clampValue(index, value);
+        }
+
+        return index
+    }
+
+    /**
+     * Exchanges two neighbouring controls together with their values, so that the controls stay
+     * ordered by value.
+     *
+     * @private
+     * @param {number} a - The index of the first control.
+     * @param {number} b - The index of the second control.
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    swapControls(a, b) {
+        const controls = this.controls;
+        const values = this._values;
+
+        [controls[a], controls[b]] = [controls[b], controls[a]];
+        [values[a], values[b]] = [values[b], values[a]];
+        controls[a].index = a;
+        controls[b].index = b;
+        this.control = controls[0];
+
+        return this
+    }
+
+    /**
+     * Moves both controls of a range slider by the given distance while dragging the filled range.
+     *
+     * @private
+     * @param {number} shift - The distance in pixel relative to the start of the drag.
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    moveRange(shift) {
+        const pixels = this.rangeObj.pixels;
+        shift = clamp(shift, -Math.min(...pixels), this.trackLength - Math.max(...pixels));
+
+        pixels.forEach((pixel, index) => {
+            const control = this.controls[index];
+            this._values[index] = this.snapValue(this.pixelToValue(pixel + shift));
+            this.placeControl(control);
+        });
+        this.updateActive();
+        this.drawRange();
+        this.changed();
+
+        return this
+    }
+
+    /**
+     * Moves a control to the position of its value.
+     *
+     * @private
+     * @param {PIXI.Graphics} control
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    placeControl(control) {
+        const { x, y } = this.pixelToPosition(this.valueToPixel(this._values[control.index]));
+        control.position.set(x, y);
+
+        return this
+    }
+
+    /**
+     * Calculates the value of a dragged control for a position of the pointer.
+     *
+     * @private
+     * @param {PIXI.Graphics} control - The dragged control.
+     * @param {PIXI.Point} position - The position of the pointer in the local coordinate system of the slider.
+     * @returns {number} The value.
+     */
+    dragValue(control, position) {
+        return this.pixelToValue(this.positionToPixel(position) - control.delta)
+    }
+
+    /**
+     * Animates all controls to the positions of their values.
+     *
+     * @private
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    tweenControls() {
+        this.stopAnimation();
+
+        this.controls.forEach(control => {
+            // The controls are tweened along the track, which is not a straight line on a curved track.
+            control.pixel = this.positionToPixel(control.position);
+
+            gsap.to(control, this.theme.fast, {
+                pixel: this.valueToPixel(this._values[control.index]),
+                onUpdate: () => {
+                    control.position.copyFrom(this.pixelToPosition(control.pixel));
+                    this.updateActive().drawRange();
+                }
+            });
+        });
+        this.changed();
+
+        return this
+    }
+
+    /**
+     * Animates the value of the slider. Unlike setting the value property, the value itself is
+     * interpolated. The change is reported when the animation ends, with the update option also
+     * with the intermediate values. A running animation is cancelled by a new one, by setting a
+     * value and when the user starts to change the value.
+     *
+     * @example
+     * // Animate to 80 within a second, then to 20
+     * slider.animateTo(80, { duration: 1 }).then(finished => finished && slider.animateTo(20))
+     *
+     * @param {*} value - The target value like the value property: a number, an item of a categorical slider or
+     *     an array for range sliders and sliders with multiple controls.
+     * @param {object} [options] - Options for the animation.
+     * @param {number} [options.duration=Theme.fast] - The duration in seconds.
+     * @param {string|function} [options.ease=power2.out] - The ease of the animation, see gsap.
+     * @param {boolean} [options.update=false] - Call onUpdate (and emit input) with the intermediate values?
+     * @return {Promise<boolean>} Resolves with true when the animation finished or with false when it was
+     *     cancelled.
+     */
+    animateTo(value, { duration = this.theme.fast, ease = 'power2.out', update = false } = {}) {
+        this.stopAnimation();
+
+        const items = this.opts.values ? value : [value];
+        const targets = items.map(item => this.toValue(item)).filter(value => value !== -1 || !this.opts.options);
+
+        if (!targets.length) {
+            return Promise.resolve(false)
+        }
+
+        const from = this._values.slice();
+        const to = this.normalizeValues(from.map((value, index) => (index < targets.length ? targets[index] : value)));
+        const previous = this.values;
+        const target = this.opts.values ? (this.opts.range ? this.rangeObj : null) : this.control;
+        const progress = { value: 0 };
+
+        return new Promise(resolve => {
+            const animation = gsap.to(progress, duration, {
+                value: 1,
+                ease,
+                paused: true,
+                onUpdate: () => {
+                    from.forEach((value, index) => {
+                        this._values[index] = value + (to[index] - value) * progress.value;
+                    });
+                    this.placeControls();
+                    if (update) {
+                        this.notify('onUpdate', null, target, 'code');
+                    }
+                },
+                onComplete: () => {
+                    this.animation = null;
+                    to.forEach((value, index) => (this._values[index] = value));
+                    this.placeControls();
+                    this.report(target, previous);
+                    resolve(true);
+                }
+            });
+
+            Object.assign(animation, { resolve, target, previous });
+            this.animation = animation;
+            animation.play();
+        })
+    }
+
+    /**
+     * Places all controls at their values and updates everything which depends on them.
+     *
+     * @private
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    placeControls() {
+        this.controls.forEach(control => this.placeControl(control));
+        this.updateActive();
+        this.drawRange();
+        this.changed();
+
+        return this
+    }
+
+    /**
+     * Cancels a running animation of the value (see animateTo) and of the controls. The values of
+     * a cancelled animation are snapped to the step and reported. Coasting controls are stopped and
+     * completed.
+     *
+     * @private
+     * @param {PIXI.Graphics[]} [controls=this.controls] - The controls which stop coasting, the others coast on.
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    stopAnimation(controls = this.controls) {
+        const animation = this.animation;
+
+        if (animation) {
+            this.animation = null;
+            animation.kill();
+            this._values = this.normalizeValues(this._values);
+            this.placeControls();
+            this.report(animation.target, animation.previous);
+            animation.resolve(false);
+        }
+
+        gsap.killTweensOf(this.controls, 'pixel');
+        controls.filter(control => control.momentum).forEach(control => this.endMomentum(control, null));
+
+        return this
+    }
+
+    /**
+     * Restricts the value of a control to the range of the slider. A control is kept between its
+     * neighbours, respecting the minGap option.
+     *
+     * @private
+     * @param {number} index - The index of the control.
+     * @param {number} value
+     * @returns {number} The clamped value.
+     */
+    clampValue(index, value) {
+        value = clamp(value, this.opts.min, this.opts.max);
+
+        if (index > 0) {
+            value = Math.max(value, this._values[index - 1] + this.opts.minGap);
+        }
+        if (index < this._values.length - 1) {
+            value = Math.min(value, this._values[index + 1] - this.opts.minGap);
+        }
+
+        return value
+    }
+
+    /**
+     * Restricts a value to the range of the slider and snaps it to the nearest step. Snapped values
+     * are rounded to the precision of the slider to get rid of floating point errors. Without a
+     * step the value stays continuous and is only rounded when it is read.
+     *
+     * @private
+     * @param {number} value
+     * @returns {number} The snapped value.
+     */
+    snapValue(value) {
+        const { min, max, step, precision } = this.opts;
+        return snap(value, min, max, step, precision)
+    }
+
+    /**
+     * Sorts the given values and moves them into the range of the slider, so that neighbouring
+     * values are at least minGap apart.
+     *
+     * @private
+     * @param {number[]} values
+     * @returns {number[]} The normalized values.
+     */
+    normalizeValues(values) {
+        const gap = this.opts.minGap;
+        const last = values.length - 1;
+
+        return values
+            .map(value => this.snapValue(value))
+            .sort((a, b) => a - b)
+            .reduce((normalized, value, index) => {
+                value = clamp(value, this.opts.min + index * gap, this.opts.max - (last - index) * gap);
+                if (index > 0) {
+                    value = Math.max(value, normalized[index - 1] + gap);
+                }
+                normalized.push(value);
+                return normalized
+            }, [])
+    }
+
+    /**
+     * Adds a control (thumb) for the given value. A slider with a single control becomes a slider
+     * with multiple controls. Not available for range sliders, which always have two controls.
+     *
+     * @param {number} value - The value of the new control.
+     * @return {number} The index of the new control or -1 if no control was added.
+     */
+    addThumb(value) {
+        if (this.opts.range) {
+            return -1
+        }
+
+        value = this.snapValue(value);
+
+        let index = this._values.findIndex(other => other > value);
+        if (index === -1) {
+            index = this._values.length;
+        }
+
+        this._values.splice(index, 0, value);
+        this._values[index] = this.clampValue(index, value);
+
+        const control = this.createControl(index);
+        this.controls.splice(index, 0, control);
+        this.controls.forEach((control, index) => (control.index = index));
+        this.control = this.controls[0];
+        this.drawControl(control);
+
+        if (!this.opts.values) {
+            this.opts.values = [];
+        }
+
+        this.updateActive();
+        this.changed();
+
+        return index
+    }
+
+    /**
+     * Removes the control (thumb) with the given index. Not available for range sliders and the
+     * last remaining control cannot be removed.
+     *
+     * @param {number} index - The index of the control to remove.
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    removeThumb(index) {
+        if (this.opts.range || this.controls.length < 2 || !this.controls[index]) {
+            return this
+        }
+
+        const [control] = this.controls.splice(index, 1);
+        this._values.splice(index, 1);
+        this.controls.forEach((control, index) => (control.index = index));
+        this.control = this.controls[0];
+
+        if (this.focusRing.parent === control) {
+            control.removeChild(this.focusRing);
+        }
+
+        if (control.element) {
+            control.element.remove();
+        }
+
+        gsap.killTweensOf(control);
+        control.destroy();
+
+        this.drawFocusRing();
+        this.updateActive();
+        this.changed();
+
+        return this
+    }
+
+    /**
+     * Finds the control which is closest to the given value.
+     *
+     * @private
+     * @param {number} value
+     * @returns {PIXI.Graphics} The nearest control.
+     */
+    nearestControl(value) {
+        const distance = control => Math.abs(this._values[control.index] - value);
+        return this.controls.reduce((nearest, control) => {
+            const closer = distance(control) < distance(nearest);
+            const tied = distance(control) === distance(nearest) && value > this._values[control.index];
+            return closer || tied ? control : nearest
+        })
+    }
+
+    /**
+     * Gives the keyboard focus to the slider. Keyboard input is handled by the focused slider only.
+     *
+     * @param {boolean} [visible=true] - Should the focus ring be shown? Focusing with a pointer does not show it.
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    focus(visible = true) {
+        if ((!this.opts.keyboard && !this.opts.accessibility) || this.disabled) {
+            return this
+        }
+
+        sliders.filter(slider => slider !== this).forEach(slider => slider.blur());
+
+        this.focused = true;
+        this.focusVisible = visible;
+        this.drawFocusRing();
+
+        const element = this.currentControl.element;
+        if (element && document.activeElement !== element) {
+            this.updateElements();
+            element.focus({ preventScroll: true });
+        }
+
+        return this
+    }
+
+    /**
+     * Removes the keyboard focus from the slider.
+     *
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    blur() {
+        if (this.keyControl) {
+            this.keyUp(null);
+        }
+
+        this.focused = false;
+        this.focusRing.visible = false;
+
+        const control = this.controls.find(control => control.element === document.activeElement);
+        if (control) {
+            control.element.blur();
+        }
+
+        return this
+    }
+
+    /**
+     * Moves the focus to the next control of the slider, then to the next slider which can be
+     * focused (backwards if requested).
+     *
+     * @private
+     * @param {boolean} backwards
+     * @return {boolean} Was the focus moved? If not, the focus should leave the sliders.
+     */
+    focusNext(backwards) {
+        const index = this.currentControl.index + (backwards ? -1 : 1);
+
+        if (this.controls[index]) {
+            this.activeControl = this.controls[index];
+            this.focus();
+            return true
+        }
+
+        const focusable = sliders.filter(slider => slider === this || (!slider.disabled && slider.worldVisible));
+        const next = focusable[focusable.indexOf(this) + (backwards ? -1 : 1)];
+
+        this.blur();
+
+        if (next) {
+            next.activeControl = next.controls[backwards ? next.controls.length - 1 : 0];
+            next.focus();
+            return true
+        }
+
+        return false
+    }
+
+    /**
+     * Handles a pressed key while the slider is focused.
+     *
+     * @private
+     * @param {KeyboardEvent} e
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    keyDown(e) {
+        if (!this.focused || this.disabled || e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) {
+            return this
+        }
+
+        // With the accessibility layer the browser moves the focus between the elements.
+        if (e.key === 'Tab' && !this.opts.accessibility) {
+            if (this.focusNext(e.shiftKey)) {
+                e.preventDefault();
+            }
+            return this
+        }
+
+        const control = this.currentControl;
+        const current = this._values[control.index];
+        const increase = this.vertical || !this.opts.inverted ? 1 : -1;
+
+        this.keyRepeat = e.repeat ? this.keyRepeat + 1 : 0;
+        const factor = this.opts.keyAcceleration ? Math.min(1 + Math.floor(this.keyRepeat / 10), 10) : 1;
+
+        let value;
+
+        switch (e.key) {
+            case 'ArrowUp':
+                value = this.stepValue(current, factor);
+                break
+            case 'ArrowDown':
+                value = this.stepValue(current, -factor);
+                break
+            case 'ArrowRight':
+                value = this.stepValue(current, increase * factor);
+                break
+            case 'ArrowLeft':
+                value = this.stepValue(current, -increase * factor);
+                break
+            case 'PageUp':
+                value = this.stepValue(current, factor, true);
+                break
+            case 'PageDown':
+                value = this.stepValue(current, -factor, true);
+                break
+            case 'Home':
+                value = this.opts.min;
+                break
+            case 'End':
+                value = this.opts.max;
+                break
+            default:
+                value = this.typedValue(e.key);
+        }
+
+        if (value == null) {
+            return this
+        }
+
+        e.preventDefault();
+
+        if (!this.keyControl) {
+            this.keyControl = control;
+            this.focusVisible = true;
+            this.drawFocusRing();
+            this.showIndicators([control]);
+            this.notify('onStart', e, control);
+        }
+
+        this.moveControl(control, value);
+        this.notify('onUpdate', e, this.currentControl);
+
+        return this
+    }
+
+    /**
+     * Ends the change of the value with the keyboard, when the key is released.
+     *
+     * @private
+     * @param {KeyboardEvent} e
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    keyUp(e) {
+        if (this.keyControl) {
+            this.keyControl = null;
+            this.keyRepeat = 0;
+            this.hideIndicators([this.currentControl]);
+            this.notify('onComplete', e, this.currentControl);
+        }
+
+        return this
+    }
+
+    /**
+     * Handles the mouse wheel (or a trackpad) while the pointer is over the slider. The change is
+     * completed after scrolling stopped for the idle time of the wheel options.
+     *
+     * @private
+     * @param {WheelEvent} e
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    wheel(e) {
+        if (!this.hovered || this.disabled || !this.worldVisible) {
+            return this
+        }
+
+        e.preventDefault();
+
+        // Scrolling up or to the right increases the value (to the left on an inverted horizontal slider).
+        const horizontal = Math.abs(e.deltaX) > Math.abs(e.deltaY);
+        const increase = this.vertical || !this.opts.inverted ? 1 : -1;
+        const delta = horizontal ? e.deltaX * increase : -e.deltaY;
+
+        let steps;
+
+        switch (e.deltaMode) {
+            case 1: // lines
+                steps = Math.round(delta) || Math.sign(delta);
+                break
+            case 2: // pages
+                steps = Math.sign(delta);
+                break
+            default:
+                // Trackpads send many small pixel deltas, which are summed up to whole steps.
+                this.wheelDelta += delta;
+                steps = Math.trunc(this.wheelDelta / this.opts.wheel.pixelsPerStep);
+                this.wheelDelta -= steps * this.opts.wheel.pixelsPerStep;
+        }
+
+        const control = this.wheelControl || this.currentControl;
+
+        if (!this.wheelControl) {
+            this.wheelControl = control;
+            this.showIndicators([control]);
+            this.notify('onStart', e, control);
+        }
+
+        if (steps) {
+            this.moveControl(control, this.stepValue(this._values[control.index], steps, e.deltaMode === 2));
+            this.notify('onUpdate', e, this.currentControl);
+        }
+
+        window.clearTimeout(this.wheelTimeout);
+        this.wheelTimeout = window.setTimeout(() => {
+            this.wheelControl = null;
+            this.wheelDelta = 0;
+            this.hideIndicators([this.currentControl]);
+            this.notify('onComplete', e, this.currentControl);
+        }, this.opts.wheel.idle);
+
+        return this
+    }
+
+    /**
+     * Calculates the value a number of steps away from the given value. Without a step option a step
+     * is 1% of the track, which respects the scale of the slider. A large step is the largeStep
+     * option or 10 steps.
+     *
+     * @private
+     * @param {number} value
+     * @param {number} steps - The number of steps, negative to decrease the value.
+     * @param {boolean} [large=false] - Use large steps?
+     * @returns {number} The new value.
+     */
+    stepValue(value, steps, large = false) {
+        const { min, max, step, largeStep } = this.opts;
+
+        if (large) {
+            if (largeStep) {
+                return value + steps * largeStep
+            }
+            steps *= 10;
+        }
+
+        if (step) {
+            return value + steps * step
+        }
+
+        const position = this.valueScale.toRatio(value, min, max) + steps * 0.01;
+        return this.valueScale.fromRatio(position, min, max)
+    }
+
+    /**
+     * Collects typed characters and calculates the value they describe: a number or, for a
+     * categorical slider, the first item starting with the typed text. The typed text is reset
+     * after a second without typing.
+     *
+     * @private
+     * @param {string} key - The key of the keyboard event.
+     * @returns {number|undefined} The value or undefined, if the key does not describe a value.
+     */
+    typedValue(key) {
+        const options = this.opts.options;
+
+        if (key.length !== 1 || (!options && !/[\d.,-]/.test(key))) {
+            return undefined
+        }
+
+        window.clearTimeout(this.typedTimeout);
+        this.typedTimeout = window.setTimeout(() => (this.typed = ''), 1000);
+        this.typed += key === ',' ? '.' : key;
+
+        if (options) {
+            const typed = this.typed.toLowerCase();
+            const index = options.findIndex(item => String(item).toLowerCase().startsWith(typed));
+            return index === -1 ? undefined : index
+        }
+
+        const value = parseFloat(this.typed);
+        return isFinite(value) ? value : undefined
+    }
+
+    /**
+     * The control which is operated with the keyboard: the one pressed last, the first control by default.
+     *
+     * @private
+     * @member {PIXI.Graphics}
+     * @readonly
+     */
+    get currentControl() {
+        return this.controls.includes(this.activeControl) ? this.activeControl : this.control
+    }
+
+    /**
+     * Calculates the distance along the track (in pixel) for a given value.
+     *
+     * @private
+     * @param {number} value
+     * @returns {number} The calculated distance.
+     */
+    valueToPixel(value) {
+        const pixel = this.trackLength * this.valueScale.toRatio(value, this.opts.min, this.opts.max);
+        return this.reversed ? this.trackLength - pixel : pixel
+    }
+
+    /**
+     * Calculates the value for a given distance along the track (in pixel). The distance is measured
+     * along the line, the arc or the path of the track.
+     *
+     * @private
+     * @param {number} pixel
+     * @returns {number} The calculated value.
+     */
+    pixelToValue(pixel) {
+        const length = this.trackLength;
+        if (pixel < 0) {
+            pixel = 0;
+        } else if (pixel > length) {
+            pixel = length;
+        }
+        if (this.reversed) {
+            pixel = length - pixel;
+        }
+        return this.valueScale.fromRatio(pixel / length, this.opts.min, this.opts.max)
+    }
+
+    /**
+     * Calculates the position of the control for a given pixel on the track.
+     *
+     * @private
+     * @param {number} pixel
+     * @param {number} [offset=0] - A distance across the track, positive values move the position below the
+     *     track (right of a vertical track, towards the center of an arc).
+     * @returns {PIXI.Point} The position of the center of the control.
+     */
+    pixelToPosition(pixel, offset = 0) {
+        const cr = this.opts.controlRadius;
+
+        if (this.path) {
+            return this.path.pointAt(pixel, offset)
+        }
+
+        if (this.opts.arc) {
+            const { center, radius } = this.opts.arc;
+            const angle = this.pixelToAngle(pixel);
+            return new PIXI.Point(
+                center.x + (radius - offset) * Math.cos(angle),
+                center.y + (radius - offset) * Math.sin(angle)
+            )
+        }
+
+        return this.vertical ? new PIXI.Point(cr + offset, cr + pixel) : new PIXI.Point(cr + pixel, cr + offset)
+    }
+
+    /**
+     * Calculates the pixel on the track for a given position. Only the coordinate along the
+     * orientation of the slider is taken into account. On an arc the position is projected onto
+     * the arc by its angle, positions in the gap between the end and the start of the arc belong
+     * to the nearer end. On a path the position is projected onto the nearest point of the path.
+     *
+     * @private
+     * @param {PIXI.Point} position - A position in the local coordinate system of the slider.
+     * @returns {number} The calculated pixel.
+     */
+    positionToPixel(position) {
+        if (this.path) {
+            return this.path.distanceOf(position)
+        }
+
+        if (this.opts.arc) {
+            const { center, startAngle, endAngle } = this.opts.arc;
+            const sweep = endAngle - startAngle;
+            const degrees = (Math.atan2(position.y - center.y, position.x - center.x) * 180) / Math.PI + 90;
+            const angle = (((degrees - startAngle) % 360) + 360) % 360;
+            const ratio = angle <= sweep ? angle / sweep : angle - sweep < 360 - angle ? 1 : 0;
+            return ratio * this.trackLength
+        }
+
+        return (this.vertical ? position.y : position.x) - this.opts.controlRadius
+    }
+
+    /**
+     * Calculates the angle on an arc track for a given pixel.
+     *
+     * @private
+     * @param {number} pixel
+     * @returns {number} The angle in radians, measured clockwise from the x axis (like rotations in PIXI).
+     */
+    pixelToAngle(pixel) {
+        const { startAngle, endAngle } = this.opts.arc;
+        const degrees = startAngle + (pixel / this.trackLength) * (endAngle - startAngle);
+        return ((degrees - 90) * Math.PI) / 180
+    }
+
+    /**
+     * The length of the track in pixel, the width of a straight track or the length of an arc or a
+     * path.
+     *
+     * @private
+     * @member {number}
+     * @readonly
+     */
+    get trackLength() {
+        if (this.path) {
+            return this.path.length
+        }
+
+        if (this.opts.arc) {
+            const { radius, startAngle, endAngle } = this.opts.arc;
+            return (radius * (endAngle - startAngle) * Math.PI) / 180
+        }
+
+        return this.opts.width
+    }
+
+    /**
+     * Is the track curved (an arc or a path)?
+     *
+     * @private
+     * @member {boolean}
+     * @readonly
+     */
+    get curved() {
+        return !!(this.opts.arc || this.path)
+    }
+
+    /**
+     * Is the slider oriented vertically?
+     *
+     * @member {boolean}
+     * @readonly
+     */
+    get vertical() {
+        return this.opts.orientation === 'vertical'
+    }
+
+    /**
+     * Does the value decrease along the axis of the slider? This is true for vertical sliders (the
+     * minimum is at the bottom) and is flipped by the inverted option.
+     *
+     * @private
+     * @member {boolean}
+     * @readonly
+     */
+    get reversed() {
+        return this.vertical !== !!this.opts.inverted
+    }
+
+    /**
+     * Gets or sets the value. For a range slider or a slider with multiple controls the value is
+     * an array with the values of all controls. For a categorical slider the value is the selected
+     * item (or an array of items).
+     *
+     * @member {*}
+     */
+    get value() {
+        const values = this.values.map(value => this.toItem(value));
+        return this.opts.values ? values : values[0]
+    }
+    set value(value) {
+        if (this.opts.values) {
+            this.values = value.map(item => this.toValue(item)).filter(value => value !== -1 || !this.opts.options);
+        } else if (this.toValue(value) !== -1 || !this.opts.options) {
+            // A coasting control completes with its own value before the change.
+            this.stopAnimation();
+            const previous = this.values;
+            this.applyValue(0, this.toValue(value));
+            this.tweenControls();
+            this.report(this.control, previous);
+        }
+    }
+
+    /**
+     * Gets or sets the index of the selected item of a categorical slider. For other sliders this
+     * is the same as the (first) value.
+     *
+     * @member {number}
+     */
+    get index() {
+        return this.values[0]
+    }
+    set index(value) {
+        this.stopAnimation();
+        const previous = this.values;
+        this.applyValue(0, value);
+        this.tweenControls();
+        this.report(this.control, previous);
+    }
+
+    /**
+     * Gets or sets the values of all controls, ordered from the minimum to the maximum. When setting
+     * a different number of values, controls are added or removed (except for range sliders).
+     *
+     * @member {number[]}
+     */
+    get values() {
+        return this._values.map(value => round(value, this.opts.precision))
+    }
+    set values(values) {
+        this.stopAnimation();
+        const previous = this.values;
+
+        if (!this.opts.range) {
+            while (this.controls.length > Math.max(values.length, 1)) {
+                this.removeThumb(this.controls.length - 1);
+            }
+            while (this.controls.length < values.length) {
+                this.addThumb(this.opts.max);
+            }
+        }
+
+        this.normalizeValues(values.slice(0, this.controls.length)).forEach(
+            (value, index) => (this._values[index] = value)
+        );
+        this.tweenControls();
+        this.report(this.opts.range ? this.rangeObj : null, previous);
+    }
+
+    /**
+     * Gets or sets the low value of a range slider.
+     *
+     * @member {number}
+     */
+    get low() {
+        return this.toItem(this.values[0])
+    }
+    set low(value) {
+        if (this.toValue(value) !== -1 || !this.opts.options) {
+            this.stopAnimation();
+            const previous = this.values;
+            this.applyValue(0, this.toValue(value));
+            this.tweenControls();
+            this.report(this.controls[0], previous);
+        }
+    }
+
+    /**
+     * Gets or sets the high value of a range slider.
+     *
+     * @member {number}
+     */
+    get high() {
+        return this.toItem(this.values[this._values.length - 1])
+    }
+    set high(value) {
+        if (this.toValue(value) !== -1 || !this.opts.options) {
+            this.stopAnimation();
+            const previous = this.values;
+            const index = this.applyValue(this._values.length - 1, this.toValue(value));
+            this.tweenControls();
+            this.report(this.controls[index], previous);
+        }
+    }
+
+    /**
+     * Gets or sets the minimum value. The values are restricted to the new range, see set.
+     *
+     * @member {number}
+     */
+    get min() {
+        return this.opts.min
+    }
+    set min(value) {
+        this.set({ min: value });
+    }
+
+    /**
+     * Gets or sets the maximum value. The values are restricted to the new range, see set.
+     *
+     * @member {number}
+     */
+    get max() {
+        return this.opts.max
+    }
+    set max(value) {
+        this.set({ max: value });
+    }
+
+    /**
+     * Gets or sets the granularity of the value. The values snap to the new step, see set.
+     *
+     * @member {number}
+     */
+    get step() {
+        return this.opts.step
+    }
+    set step(value) {
+        this.set({ step: value });
+    }
+
+    /**
+     * Gets or sets the disabled state. When disabled, the slider cannot be clicked.
+     *
+     * @member {boolean}
+     */
+    get disabled() {
+        return this._disabled
+    }
+    set disabled(value) {
+        this._disabled = value;
+
+        if (this._disabled) {
+            this.interactive = false;
+            this.sliderObj.interactive = false;
+            this.rangeObj.interactive = false;
+            this.rangeObj.buttonMode = false;
+            this.controls.forEach(control => {
+                control.interactive = false;
+                control.buttonMode = false;
+            });
+            this.alpha = 0.5;
+            this.blur();
+        } else {
+            this.interactive = true;
+            this.sliderObj.interactive = true;
+            this.rangeObj.interactive = true;
+            this.rangeObj.buttonMode = true;
+            this.controls.forEach(control => {
+                control.interactive = true;
+                control.buttonMode = true;
+            });
+            this.alpha = 1;
+        }
+
+        this.updateElements();
+    }
+
+    /**
+     * Destroys the slider and removes its listeners from the window.
+     *
+     * @param {object|boolean} [options] - Options parameter, see PIXI.Container#destroy.
+     */
+    destroy(options) {
+        this.pointers.forEach(pointerId => this.releasePointer(pointerId));
+
+        if (this.opts.container instanceof Element) {
+            this.opts.container.removeEventListener('pointerup', this.onContainerEnd, false);
+            this.opts.container.removeEventListener('pointercancel', this.onContainerEnd, false);
+            this.opts.container.removeEventListener('mouseup', this.onContainerEnd, false);
+        } else {
+            this.opts.container.off('pointerup', this.onContainerEnd);
+            this.opts.container.off('pointerupoutside', this.onContainerEnd);
+            this.opts.container.off('pointercancel', this.onContainerEnd);
+        }
+
+        window.removeEventListener('keydown', this.onKeyDown, false);
+        window.removeEventListener('keyup', this.onKeyUp, false);
+        window.removeEventListener('pointerdown', this.onWindowPointerDown, true);
+        window.removeEventListener('wheel', this.onWheel, { passive: false });
+        window.clearTimeout(this.typedTimeout);
+        window.clearTimeout(this.wheelTimeout);
+
+        if (this.paging) {
+            window.clearTimeout(this.paging.timeout);
+        }
+
+        this.controls.filter(control => control.element).forEach(control => control.element.remove());
+
+        if (sliders.includes(this)) {
+            sliders.splice(sliders.indexOf(this), 1);
+        }
+
+        this.stopAnimation();
+        gsap.killTweensOf(this.controls);
+
+        super.destroy(options);
+    }
+
+    /**
+     * Shows the slider (sets his alpha values to 1).
+     *
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    show() {
+        this.opts.strokeAlpha = 1;
+        this.opts.fillAlpha = 1;
+        this.opts.activeFillAlpha = 1;
+        this.opts.controlStrokeAlpha = 1;
+        this.opts.controlFillAlpha = 1;
+        this.opts.rangeFillAlpha = 1;
+        this.ticksObj.visible = true;
+        this.labelsObj.visible = true;
+
+        this.layout();
+
+        return this
+    }
+
+    /**
+     * Hides the slider (sets his alpha values to 1).
+     *
+     * @return {Slider} A reference to the slider for chaining.
+     */
+    hide() {
+        this.opts.strokeAlpha = 0;
+        this.opts.fillAlpha = 0;
+        this.opts.activeFillAlpha = 0;
+        this.opts.controlStrokeAlpha = 0;
+        this.opts.controlFillAlpha = 0;
+        this.opts.rangeFillAlpha = 0;
+        this.ticksObj.visible = false;
+        this.labelsObj.visible = false;
+
+        this.layout();
+
+        return this
+    }
+
+    /**
+     * Adds a canvas to the tab order of the page. When the canvas gets the focus by the keyboard, it
+     * passes the focus to its first slider, or to its last slider when tabbing backwards. A focus
+     * by a pointer is left to the pressed slider.
+     *
+     * @private
+     * @static
+     * @param {HTMLCanvasElement} view
+     */
+    static addToTabOrder(view) {
+        if (tabbableViews.has(view)) {
+            return
+        }
+
+        tabbableViews.add(view);
+
+        if (!view.hasAttribute('tabindex')) {
+            view.tabIndex = 0;
+        }
+
+        let pressed = false;
+
+        view.addEventListener('pointerdown', e => (pressed = true), true);
+        view.addEventListener('blur', e => (pressed = false), false);
+        view.addEventListener(
+            'focus',
+            e => {
+                const focusable = sliders.filter(slider => {
+                    const renderer = slider.opts.renderer;
+                    return renderer && renderer.view === view && !slider.disabled && slider.worldVisible
+                });
+
+                if (!pressed && focusable.length && !focusable.some(slider => slider.focused)) {
+                    // The focus comes from an element after the canvas when tabbing backwards.
+                    const previous = e.relatedTarget;
+                    const position = previous && view.compareDocumentPosition(previous);
+                    const backwards = position & Node.DOCUMENT_POSITION_FOLLOWING;
+                    const slider = focusable[backwards ? focusable.length - 1 : 0];
+                    slider.activeControl = slider.controls[backwards ? slider.controls.length - 1 : 0];
+                    slider.focus();
+                }
+
+                pressed = false;
+            },
+            false
+        );
     }
 }
 
@@ -0,0 +1,782 @@
+import * as PIXI from "pixi.js";
+import gsap from "gsap";
+import { Theme } from "./Slider";
+import { clamp, decimals, pointerIdOf, round, snap } from "./utils";
+
+/**
+ * Class that represents a two-dimensional pad. A puck is dragged over a rectangular area to
+ * control two linked values at once, e.g. the cutoff and the resonance of a filter. The value of
+ * the pad is an object with an x and a y value, x grows to the right and y grows upwards.
+ *
+ * @example
+ * // Create the pad
+ * const pad = new XYPad({
+ *     xAxis: { min: 20, max: 20000 },
+ *     yAxis: { min: 0, max: 1, step: 0.01 },
+ *     crosshair: true,
+ *     grid: 4,
+ *     onUpdate: (event, pad, value) => console.log(value.x, value.y)
+ * })
+ *
+ * // Add the pad to a DisplayObject
+ * app.stage.addChild(pad)
+ *
+ * @class
+ */
+export class XYPad extends PIXI.Container {
+    /**
+     * Creates an instance of a XYPad.
+     *
+     * @constructor
+     * @param {object} [opts] - An options object to specify to style and behaviour of the pad.
+     * @param {number} [opts.id=auto generated] - The id of the pad.
+     * @param {number} [opts.x=0] - The x position of the pad. Can be also set after creation with pad.x = 0.
+     * @param {number} [opts.y=0] - The y position of the pad. Can be also set after creation with pad.y = 0.
+     * @param {string|Theme} [opts.theme=dark] - The theme to use for this pad. Possible values are dark, light, red
+     *     or a Theme object.
+     * @param {number} [opts.width=200] - The width of the area.
+     * @param {number} [opts.height=200] - The height of the area.
+     * @param {PIXI.DisplayObject|Element} [opts.container=window.app|object] - The container where the pad events
+     *     should be attached to. An element captures the pointer while dragging instead of the canvas.
+     * @param {PIXI.Renderer} [opts.renderer=window.app.renderer] - The renderer which draws the pad. Needed to track a
+     *     drag outside of the canvas.
+     * @param {number} [opts.fill=Theme.fill] - The color of the area as a hex value.
+     * @param {number} [opts.fillAlpha=Theme.fillAlpha] - The alpha value of the area.
+     * @param {number} [opts.stroke=Theme.stroke] - The color of the border as a hex value.
+     * @param {number} [opts.strokeWidth=Theme.strokeWidth] - The width of the border in pixel.
+     * @param {number} [opts.strokeAlpha=Theme.strokeAlpha] - The alpha value of the border.
+     * @param {number} [opts.controlFill=Theme.fill] - The color of the puck background as a hex value.
+     * @param {number} [opts.controlFillAlpha=0.5] - The alpha value of the background.
+     * @param {number} [opts.controlStroke=Theme.primaryColor] - The color of the border as a hex value.
+     * @param {number} [opts.controlStrokeWidth=2] - The width of the border in pixel.
+     * @param {number} [opts.controlStrokeAlpha=Theme.strokeAlpha] - The alpha value of the border.
+     * @param {number} [opts.controlRadius=12] - The radius of the puck.
+     * @param {object} [opts.xAxis] - The range of the x value:
+     * @param {number} [opts.xAxis.min=0] - The minimum, on the left.
+     * @param {number} [opts.xAxis.max=100] - The maximum, on the right.
+     * @param {number} [opts.xAxis.step=0] - The granularity of the value. 0 means no snapping.
+     * @param {number} [opts.xAxis.precision] - The number of decimal places of the value. Defaults to the decimal
+     *     places of step and min, or 0 if no step is given.
+     * @param {object} [opts.yAxis] - The range of the y value, with the same options as xAxis. The minimum is at the
+     *     bottom.
+     * @param {object} [opts.value={x: xAxis.min, y: yAxis.min}] - The initial value of the pad.
+     * @param {boolean} [opts.crosshair=false] - Draws a horizontal and a vertical line through the puck.
+     * @param {boolean|number|object} [opts.grid=false] - Draws grid lines which divide the area into cells. true
+     *     divides both axes into 4 cells, a number sets the cells of both axes and an object ({x, y}) the cells of
+     *     each axis.
+     * @param {number} [opts.gridAlpha=0.25] - The alpha value of the grid lines.
+     * @param {boolean} [opts.keyboard=true] - Can the pad be focused (by pressing it) and operated with the keyboard?
+     *     The arrow keys change the values by one step (1% of the axis without a step), ten steps while shift is
+     *     held down.
+     * @param {boolean} [opts.disabled=false] - Is the pad disabled? When disabled, the pad has a lower alpha value
+     *     and cannot be clicked (interactive is set to false).
+     * @param {onStartCallback} [opts.onStart] - Executed when the puck starts to move.
+     * @param {onUpdateCallback} [opts.onUpdate] - Executed when the puck is moved.
+     * @param {onCompleteCallback} [opts.onComplete] - Executed when the puck was dropped.
+     * @param {boolean} [opts.visible=true] - Is the pad initially visible (property visible)?
+     */
+    constructor(opts = {}) {
+        super();
+
+        const theme = Theme.fromString(opts.theme);
+        this.theme = theme;
+
+        this.opts = Object.assign(
+            {},
+            {
+                id: PIXI.utils.uid(),
+                x: 0,
+                y: 0,
+                width: 200,
+                height: 200,
+                container: null,
+                renderer: window.app ? window.app.renderer : null,
+                fill: theme.fill,
+                fillAlpha: theme.fillAlpha,
+                stroke: theme.stroke,
+                strokeWidth: theme.strokeWidth,
+                strokeAlpha: theme.strokeAlpha,
+                controlFill: theme.fill,
+                controlFillAlpha: 0.5,
+                controlStroke: theme.primaryColor,
+                controlStrokeWidth: 2,
+                controlStrokeAlpha: theme.strokeAlpha,
+                controlRadius: 12,
+                xAxis: {},
+                yAxis: {},
+                value: null,
+                crosshair: false,
+                grid: false,
+                gridAlpha: 0.25,
+                keyboard: true,
+                disabled: false,
+                onStart: null,
+                onUpdate: null,
+                onComplete: null,
+                visible: true
+            },
+            opts
+        );
+
+        this.opts.container = this.opts.container || this;
+
+        // Validation
+        //-----------------
+        ['xAxis', 'yAxis'].forEach(name => {
+            const axis = Object.assign({}, { min: 0, max: 100, step: 0, precision: null }, this.opts[name]);
+
+            if (!(axis.step > 0)) {
+                axis.step = 0;
+            }
+
+            if (axis.precision == null) {
+                axis.precision = axis.step ? Math.max(decimals(axis.step), decimals(axis.min)) : 0;
+            }
+
+            this.opts[name] = axis;
+        });
+
+        if (this.opts.grid) {
+            const cells = this.opts.grid === true ? 4 : this.opts.grid;
+            this.opts.grid =
+                typeof cells === 'object' ? Object.assign({}, { x: 0, y: 0 }, cells) : { x: cells, y: cells };
+        }
+
+        // Properties
+        //-----------------
+        this.id = this.opts.id;
+
+        const value = this.opts.value || {};
+        this._value = {
+            x: this.snapValue('x', value.x != null ? value.x : this.opts.xAxis.min),
+            y: this.snapValue('y', value.y != null ? value.y : this.opts.yAxis.min)
+        };
+        this._disabled = null;
+
+        this.padObj = null;
+        this.gridObj = null;
+        this.crosshairObj = null;
+        this.control = null;
+        this.capturedPointer = null;
+        this.captureElement = null;
+
+        this.focused = false;
+        this.focusRing = null;
+        this.keyDragging = false;
+
+        this.visible = this.opts.visible;
+
+        // setup
+        //-----------------
+        this.setup();
+
+        // layout
+        //-----------------
+        this.layout();
+    }
+
+    /**
+     * Creates children and instantiates everything.
+     *
+     * @private
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    setup() {
+        // Dragging
+        //-----------------
+        // Like the drag of a slider, the drag of the puck follows its pointer until it is released, even
+        // outside of the pad and the canvas. The pointer is captured by the canvas (or the container
+        // element) and tracked on the page.
+        const container = this.opts.container;
+
+        this.onPointerMove = e => {
+            if (this.control.dragging && e.pointerId === this.capturedPointer) {
+                const point = new PIXI.Point();
+                this.opts.renderer.plugins.interaction.mapPositionToPoint(point, e.clientX, e.clientY);
+                this.drag(e, this.toLocal(point));
+            }
+        };
+
+        this.onPointerUp = e => {
+            if (e.pointerId === this.capturedPointer) {
+                this.onEnd(e);
+            }
+        };
+
+        // Without a renderer or pointer events, the drag is tracked by the interaction of PIXI.
+        this.on('pointermove', e => {
+            const control = this.control;
+
+            if (control.dragging && control.pointerId === e.data.pointerId && this.capturedPointer === null) {
+                this.drag(e, e.data.getLocalPosition(this));
+            }
+        });
+
+        this.onContainerEnd = e => {
+            if (this.capturedPointer === null) {
+                this.onEnd(e);
+            }
+        };
+
+        if (container instanceof Element) {
+            container.addEventListener('pointerup', this.onContainerEnd, false);
+            container.addEventListener('pointercancel', this.onContainerEnd, false);
+            container.addEventListener('mouseup', this.onContainerEnd, false);
+        } else {
+            container.interactive = true;
+            container.on('pointerup', this.onContainerEnd);
+            container.on('pointerupoutside', this.onContainerEnd);
+            container.on('pointercancel', this.onContainerEnd);
+        }
+
+        // Pad
+        //-----------------
+        let padObj = new PIXI.Graphics();
+        this.padObj = padObj;
+        this.addChild(padObj);
+
+        // pointerdown on the area moves the puck to the pointer and drags it from there
+        padObj.on('pointerdown', e => {
+            // A second finger on the pad is ignored.
+            if (this.control.dragging) {
+                return
+            }
+
+            const position = e.data.getLocalPosition(this);
+            this.startDrag(e, new PIXI.Point(0, 0));
+            this.moveControl(this.positionToValue(position.x, position.y));
+            this.notify('onUpdate', e);
+        });
+
+        // Grid and crosshair
+        //-----------------
+        this.gridObj = new PIXI.Graphics();
+        this.crosshairObj = new PIXI.Graphics();
+        this.addChild(this.gridObj, this.crosshairObj);
+
+        // Puck
+        //-----------------
+        let control = new PIXI.Graphics();
+        control.interactiveChildren = false;
+
+        // pointerdown on the puck for dragndrop
+        control.on('pointerdown', e => this.startDrag(e, e.data.getLocalPosition(control)));
+
+        this.control = control;
+        this.addChild(control);
+
+        // keyboard
+        //-----------------
+        this.focusRing = new PIXI.Graphics();
+        this.focusRing.visible = false;
+        control.addChildAt(this.focusRing, 0);
+
+        this.onKeyDown = e => this.keyDown(e);
+        this.onKeyUp = e => this.keyUp(e);
+        this.onWindowPointerDown = e => this.blur();
+
+        if (this.opts.keyboard) {
+            window.addEventListener('keydown', this.onKeyDown, false);
+            window.addEventListener('keyup', this.onKeyUp, false);
+            // Capturing runs before the pointerdown of PIXI, which focuses the pressed pad again.
+            window.addEventListener('pointerdown', this.onWindowPointerDown, true);
+        }
+
+        // disabled
+        //-----------------
+        this.disabled = this.opts.disabled;
+
+        return this
+    }
+
+    /**
+     * Should be called to refresh the layout of the pad. Can be used after resizing.
+     *
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    layout() {
+        // set position
+        //-----------------
+        this.position.set(this.opts.x, this.opts.y);
+
+        // draw
+        //-----------------
+        this.draw();
+
+        return this
+    }
+
+    /**
+     * Draws the pad to the canvas.
+     *
+     * @private
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    draw() {
+        const { width, height } = this.opts;
+        const cr = this.opts.controlRadius;
+
+        // Draw area
+        this.padObj.clear();
+        this.padObj.lineStyle(this.opts.strokeWidth, this.opts.stroke, this.opts.strokeAlpha);
+        this.padObj.beginFill(this.opts.fill, this.opts.fillAlpha);
+        this.padObj.drawRoundedRect(0, 0, width, height, this.theme.radius);
+        this.padObj.endFill();
+
+        // Draw grid
+        this.gridObj.clear();
+
+        if (this.opts.grid) {
+            const { x: columns, y: rows } = this.opts.grid;
+            this.gridObj.lineStyle(1, this.opts.stroke, this.opts.gridAlpha);
+
+            for (let i = 1; i < columns; i++) {
+                this.gridObj.moveTo((width * i) / columns, 0);
+                this.gridObj.lineTo((width * i) / columns, height);
+            }
+            for (let i = 1; i < rows; i++) {
+                this.gridObj.moveTo(0, (height * i) / rows);
+                this.gridObj.lineTo(width, (height * i) / rows);
+            }
+        }
+
+        // Draw puck
+        this.control.clear();
+        this.control.lineStyle(this.opts.controlStrokeWidth, this.opts.controlStroke, this.opts.controlStrokeAlpha);
+        this.control.beginFill(this.opts.controlFill, this.opts.controlFillAlpha);
+        this.control.drawCircle(0, 0, cr - 1);
+        this.control.beginFill(this.opts.controlStroke, this.opts.controlStrokeAlpha);
+        this.control.drawCircle(0, 0, cr / 6);
+        this.control.endFill();
+
+        this.placeControl();
+
+        // Draw focus ring
+        const ringWidth = Math.max(this.theme.strokeActiveWidth, 2);
+        this.focusRing.clear();
+        this.focusRing.lineStyle(ringWidth, this.theme.primaryColor, this.theme.strokeActiveAlpha);
+        this.focusRing.drawCircle(0, 0, cr + ringWidth + 2);
+
+        return this
+    }
+
+    /**
+     * Draws the crosshair through the current position of the puck.
+     *
+     * @private
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    drawCrosshair() {
+        const { x, y } = this.control.position;
+
+        this.crosshairObj.clear();
+
+        if (this.opts.crosshair) {
+            this.crosshairObj.lineStyle(1, this.opts.controlStroke, this.opts.controlStrokeAlpha * 0.6);
+            this.crosshairObj.moveTo(x, 0);
+            this.crosshairObj.lineTo(x, this.opts.height);
+            this.crosshairObj.moveTo(0, y);
+            this.crosshairObj.lineTo(this.opts.width, y);
+        }
+
+        return this
+    }
+
+    /**
+     * Starts to drag the puck.
+     *
+     * @private
+     * @param {PIXI.InteractionEvent} e
+     * @param {PIXI.Point} delta - The position of the pointer relative to the center of the puck.
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    startDrag(e, delta) {
+        const control = this.control;
+
+        // A second finger on the held puck is ignored.
+        if (control.dragging) {
+            return this
+        }
+
+        control.event = e;
+        control.delta = delta;
+        control.dragging = true;
+        control.pointerId = e.data.pointerId;
+        gsap.killTweensOf(control, 'x,y');
+        this.capturePointer(e);
+        this.focus(false);
+        this.notify('onStart', e);
+
+        return this
+    }
+
+    /**
+     * Moves the dragged puck to a position of its pointer.
+     *
+     * @private
+     * @param {PIXI.InteractionEvent|PointerEvent} e - The event which moved the pointer.
+     * @param {PIXI.Point} position - The position of the pointer in the local coordinate system of the pad.
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    drag(e, position) {
+        const delta = this.control.delta;
+
+        this.moveControl(this.positionToValue(position.x - delta.x, position.y - delta.y));
+        this.notify('onUpdate', e);
+
+        return this
+    }
+
+    /**
+     * Starts to track the pointer which started a drag on the page, see Slider#capturePointer.
+     *
+     * @private
+     * @param {PIXI.InteractionEvent} e - The pointerdown event.
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    capturePointer(e) {
+        const renderer = this.opts.renderer;
+        const container = this.opts.container;
+
+        if (!renderer || !window.PointerEvent) {
+            return this
+        }
+
+        this.capturedPointer = e.data.pointerId;
+        this.captureElement = container instanceof Element ? container : renderer.view;
+
+        try {
+            this.captureElement.setPointerCapture(this.capturedPointer);
+        } catch (error) {
+            // The pointer is not active anymore (or was emulated), it is still tracked on the page.
+        }
+
+        window.addEventListener('pointermove', this.onPointerMove, false);
+        window.addEventListener('pointerup', this.onPointerUp, false);
+        window.addEventListener('pointercancel', this.onPointerUp, false);
+
+        return this
+    }
+
+    /**
+     * Stops to track the pointer of the drag.
+     *
+     * @private
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    releasePointer() {
+        const pointerId = this.capturedPointer;
+
+        if (pointerId === null) {
+            return this
+        }
+
+        this.capturedPointer = null;
+
+        if (this.captureElement.hasPointerCapture && this.captureElement.hasPointerCapture(pointerId)) {
+            this.captureElement.releasePointerCapture(pointerId);
+        }
+
+        window.removeEventListener('pointermove', this.onPointerMove, false);
+        window.removeEventListener('pointerup', this.onPointerUp, false);
+        window.removeEventListener('pointercancel', this.onPointerUp, false);
+
+        return this
+    }
+
+    /**
+     * Executed, when the puck movement ended. Only the release of the pointer which drags the puck
+     * ends the drag, an event without a pointer always ends it.
+     *
+     * @private
+     * @param {PIXI.InteractionEvent|Event} e
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    onEnd(e) {
+        const control = this.control;
+        const pointerId = pointerIdOf(e);
+
+        if (control.dragging && (pointerId === null || control.pointerId === pointerId)) {
+            this.releasePointer();
+            control.event = null;
+            control.dragging = false;
+            control.pointerId = null;
+            this.notify('onComplete', e);
+        }
+
+        return this
+    }
+
+    /**
+     * Calls the callback with the given name. Besides the event and the pad, the callback gets the
+     * value of the pad ({x, y}).
+     *
+     * @private
+     * @param {string} name - The name of the callback option, e.g. onUpdate.
+     * @param {PIXI.InteractionEvent|Event} e - The event which caused the callback.
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    notify(name, e) {
+        if (this.opts[name]) {
+            this.opts[name].call(this, e, this, this.value);
+        }
+
+        return this
+    }
+
+    /**
+     * Moves the puck to the given value while dragging.
+     *
+     * @private
+     * @param {object} value - The requested value ({x, y}).
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    moveControl(value) {
+        // A running tween of the puck would move it away from the new value.
+        gsap.killTweensOf(this.control, 'x,y');
+        this.applyValue(value);
+        this.placeControl();
+
+        return this
+    }
+
+    /**
+     * Sets the value of the pad, each part snapped and restricted to its axis.
+     *
+     * @private
+     * @param {object} value - The requested value ({x, y}), a missing part is left unchanged.
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    applyValue(value) {
+        ['x', 'y']
+            .filter(axis => value[axis] != null)
+            .forEach(axis => (this._value[axis] = this.snapValue(axis, value[axis])));
+
+        return this
+    }
+
+    /**
+     * Moves the puck to the position of the value.
+     *
+     * @private
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    placeControl() {
+        this.control.position.copyFrom(this.valueToPosition(this._value));
+        this.drawCrosshair();
+
+        return this
+    }
+
+    /**
+     * Animates the puck to the position of the value.
+     *
+     * @private
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    tweenControl() {
+        const { x, y } = this.valueToPosition(this._value);
+
+        gsap.killTweensOf(this.control, 'x,y');
+        gsap.to(this.control, this.theme.fast, { x, y, onUpdate: () => this.drawCrosshair() });
+
+        return this
+    }
+
+    /**
+     * Restricts a value to the range of its axis and snaps it to the nearest step.
+     *
+     * @private
+     * @param {string} axis - x or y.
+     * @param {number} value
+     * @returns {number} The snapped value.
+     */
+    snapValue(axis, value) {
+        const { min, max, step, precision } = this.opts[`${axis}Axis`];
+        return snap(value, min, max, step, precision)
+    }
+
+    /**
+     * Calculates the position of the puck for a value.
+     *
+     * @private
+     * @param {object} value - The value ({x, y}).
+     * @returns {PIXI.Point} The position in the local coordinate system of the pad.
+     */
+    valueToPosition(value) {
+        const { xAxis, yAxis, width, height } = this.opts;
+        const ratio = (value, axis) => (axis.max === axis.min ? 0 : (value - axis.min) / (axis.max - axis.min));
+
+        return new PIXI.Point(ratio(value.x, xAxis) * width, (1 - ratio(value.y, yAxis)) * height)
+    }
+
+    /**
+     * Calculates the value for a position in the local coordinate system of the pad.
+     *
+     * @private
+     * @param {number} x
+     * @param {number} y
+     * @returns {object} The value ({x, y}), not yet snapped.
+     */
+    positionToValue(x, y) {
+        const { xAxis, yAxis, width, height } = this.opts;
+
+        return {
+            x: xAxis.min + (clamp(x, 0, width) / width) * (xAxis.max - xAxis.min),
+            y: yAxis.min + (1 - clamp(y, 0, height) / height) * (yAxis.max - yAxis.min)
+        }
+    }
+
+    /**
+     * Gives the keyboard focus to the pad.
+     *
+     * @param {boolean} [visible=true] - Should the focus ring be shown? Focusing with a pointer does not show it.
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    focus(visible = true) {
+        if (this.opts.keyboard && !this.disabled) {
+            this.focused = true;
+            this.focusRing.visible = visible;
+        }
+
+        return this
+    }
+
+    /**
+     * Removes the keyboard focus from the pad.
+     *
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    blur() {
+        if (this.keyDragging) {
+            this.keyUp(null);
+        }
+
+        this.focused = false;
+        this.focusRing.visible = false;
+
+        return this
+    }
+
+    /**
+     * Handles a pressed key while the pad is focused. The arrow keys move the puck, left and right
+     * change the x value, up and down the y value.
+     *
+     * @private
+     * @param {KeyboardEvent} e
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    keyDown(e) {
+        if (!this.focused || this.disabled || e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) {
+            return this
+        }
+
+        const directions = { ArrowLeft: ['x', -1], ArrowRight: ['x', 1], ArrowDown: ['y', -1], ArrowUp: ['y', 1] };
+        const direction = directions[e.key];
+
+        if (!direction) {
+            return this
+        }
+
+        e.preventDefault();
+
+        const [axis, sign] = direction;
+        const { min, max, step } = this.opts[`${axis}Axis`];
+        const steps = sign * (e.shiftKey ? 10 : 1);
+
+        if (!this.keyDragging) {
+            this.keyDragging = true;
+            this.focusRing.visible = true;
+            this.notify('onStart', e);
+        }
+
+        this.moveControl({ [axis]: this._value[axis] + steps * (step || (max - min) / 100) });
+        this.notify('onUpdate', e);
+
+        return this
+    }
+
+    /**
+     * Ends the change of the value with the keyboard, when the key is released.
+     *
+     * @private
+     * @param {KeyboardEvent} e
+     * @return {XYPad} A reference to the pad for chaining.
+     */
+    keyUp(e) {
+        if (this.keyDragging) {
+            this.keyDragging = false;
+            this.notify('onComplete', e);
+        }
+
+        return this
+    }
+
+    /**
+     * Gets or sets the value of the pad, an object with an x and a y value. Setting a value with
+     * only one of both changes only that one.
+     *
+     * @member {object}
+     */
+    get value() {
+        return {
+            x: round(this._value.x, this.opts.xAxis.precision),
+            y: round(this._value.y, this.opts.yAxis.precision)
+        }
+    }
+    set value(value) {
+        this.applyValue(value);
+        this.tweenControl();
+    }
+
+    /**
+     * Gets or sets the disabled state. When disabled, the pad cannot be clicked.
+     *
+     * @member {boolean}
+     */
+    get disabled() {
+        return this._disabled
+    }
+    set disabled(value) {
+        this._disabled = value;
+
+        this.interactive = !value;
+        this.padObj.interactive = !value;
+        this.control.interactive = !value;
+        this.control.buttonMode = !value;
+        this.alpha = value ? 0.5 : 1;
+
+        if (value) {
+            this.blur();
+        }
+    }
+
+    /**
+     * Destroys the pad and removes its listeners from the window.
+     *
+     * @param {object|boolean} [options] - Options parameter, see PIXI.Container#destroy.
+     */
+    destroy(options) {
+        this.releasePointer();
+
+        if (this.opts.container instanceof Element) {
+            this.opts.container.removeEventListener('pointerup', this.onContainerEnd, false);
+            this.opts.container.removeEventListener('pointercancel', this.onContainerEnd, false);
+            this.opts.container.removeEventListener('mouseup', this.onContainerEnd, false);
+        } else {
+            this.opts.container.off('pointerup', this.onContainerEnd);
+            this.opts.container.off('pointerupoutside', this.onContainerEnd);
+            this.opts.container.off('pointercancel', this.onContainerEnd);
+        }
+
+        window.removeEventListener('keydown', this.onKeyDown, false);
+        window.removeEventListener('keyup', this.onKeyUp, false);
+        window.removeEventListener('pointerdown', this.onWindowPointerDown, true);
+
+        gsap.killTweensOf(this.control);
+
+        super.destroy(options);
+    }
+}
+
+window.XYPad = XYPad;
@@ -1,18 +1,28 @@
 import * as PIXI from "pixi.js";
 import "./Slider";
+import "./MediaScrubber";
+import "./Knob";
+import "./XYPad";
 
 
 const app = new PIXI.Application({
-    width: 500,
+    width: 720,
     height: 500
 });
 
 document.body.appendChild(app.view);
+// The sliders take their renderer and event container from window.app by default.
+window.app = app;
 
 let slider = new Slider({
     x: 100,
     y: 200,
+    min: -50,
+    max: 50,
     value: -20,
+    origin: 0,
+    sticky: true,
+    momentum: true,
     width: 200,
     height: 8,
     fill: 0xda3031,
@@ -21,6 +31,7 @@ let slider = new Slider({
     controlStrokeWidth: 4,
     controlRadius: 24,
     theme: 'red',
+    valueIndicator: 'drag',
     onStart: (event, slider) => {
         console.log('Started', event);
     },
@@ -32,5 +43,71 @@ let slider = new Slider({
     }
 })
 
+let volume = new Slider({
+    x: 400,
+    y: 100,
+    value: 50,
+    width: 200,
+    height: 8,
+    orientation: 'vertical',
+    theme: 'red',
+    valueIndicator: 'always',
+    trackPress: 'page',
+    valueFormatter: value => `${value}%`,
+    onUpdate: (event, slider) => {
+        console.log('Updated volume to', slider.value);
+    }
+})
+
+let pan = new Knob({
+    x: 100,
+    y: 320,
+    min: -50,
+    max: 50,
+    value: 0,
+    origin: 0,
+    theme: 'red',
+    valueIndicator: 'drag',
+    onUpdate: (event, knob) => {
+        console.log('Updated pan to', knob.value);
+    }
+})
+
+let gauge = new Slider({
+    x: 200,
+    y: 320,
+    value: 30,
+    height: 8,
+    arc: { radius: 80, startAngle: -120, endAngle: 120 },
+    ticks: { major: 20, minor: 1, position: 'below' },
+    theme: 'red',
+    valueIndicator: 'drag'
+})
+
+let wave = new Slider({
+    x: 40,
+    y: 0,
+    range: true,
+    low: 20,
+    high: 70,
+    path: [[0, 80], { cp1: [60, -20], cp2: [120, 180], to: [180, 80] }, [260, 80]]
+})
+
+let pad = new XYPad({
+    x: 520,
+    y: 300,
+    width: 160,
+    height: 160,
+    xAxis: { min: 20, max: 20000, step: 10 },
+    yAxis: { min: 0, max: 1, step: 0.01 },
+    crosshair: true,
+    grid: 4,
+    onUpdate: (event, pad, value) => console.log(value.x, value.y)
+})
 
-app.stage.addChild(slider);
\ No newline at end of file
+app.stage.addChild(slider);
+app.stage.addChild(volume);
+app.stage.addChild(pan);
+app.stage.addChild(gauge);
+app.stage.addChild(wave);
+app.stage.addChild(pad);
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * Class that smoothes a stream of values, e.g. the velocity of a pointer, with a low pass filter.
+ * Each value is blended with the values before, which are kept in a FIFO queue.
+ *
+ * @example
+ * // Smooth the velocities of a drag
+ * const filter = new LowPassFilter(0.5, 5)
+ * const velocity = filter.next(distance / time)
+ *
+ * @class
+ */
+export class LowPassFilter {
+    /**
+     * Creates an instance of a LowPassFilter.
+     *
+     * @constructor
+     * @param {number} [smoothing=0.5] - The weight of a new value, must be smaller than 1.
+     * @param {number} [bufferMaxSize=10] - The number of values which are blended.
+     */
+    constructor(smoothing = 0.5, bufferMaxSize = 10) {
+        this.smoothing = smoothing; // must be smaller than 1
+        this.buffer = []; // FIFO queue
+        this.bufferMaxSize = bufferMaxSize;
+    }
+
+    /**
+     * Setup buffer with array of values
+     *
+     * @param {array} values
+     * @returns {array}
+     */
+    setup(values) {
+        for (let i = 0; i < values.length; i++) {
+            this.__push(values[i]);
+        }
+        return this.buffer
+    }
+
+    /**
+     * Clear buffer to prepare for new values.
+     */
+    clear() {
+        this.buffer = [];
+    }
+
+    /**
+     * Add new value to buffer (FIFO queue)
+     *
+     * @private
+     * @param {integer|float} value
+     * @returns {integer|float}
+     */
+    __push(value) {
+        let removed = this.buffer.length === this.bufferMaxSize ? this.buffer.shift() : 0;
+
+        this.buffer.push(value);
+        return removed
+    }
+
+    /**
+     * Smooth value from stream
+     *
+     * @param {integer|float} nextValue
+     * @returns {integer|float}
+     */
+    next(nextValue) {
+        // push new value to the end, and remove oldest one
+        let removed = this.__push(nextValue);
+        // smooth value using all values from buffer
+        let result = this.buffer.reduce((last, current) => {
+            return this.smoothing * current + (1 - this.smoothing) * last
+        }, removed);
+        // replace smoothed value
+        this.buffer[this.buffer.length - 1] = result;
+        return result
+    }
+
+    /**
+     * Smooth array of values
+     *
+     * @param {array} values
+     * @returns {undefined}
+     */
+    smoothArray(values) {
+        let value = values[0];
+        for (let i = 1; i < values.length; i++) {
+            let currentValue = values[i];
+            value += (currentValue - value) * this.smoothing;
+            values[i] = Math.round(value);
+        }
+        return values
+    }
+}
+
+window.LowPassFilter = LowPassFilter;
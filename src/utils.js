@@ -0,0 +1,73 @@
+/**
+ * Restricts a value to the given interval.
+ *
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number} The clamped value.
+ */
+export function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max)
+}
+
+/**
+ * Counts the decimal places of a number, e.g. 2 for 0.05 and 7 for 1e-7.
+ *
+ * @param {number} value
+ * @returns {number} The number of decimal places.
+ */
+export function decimals(value) {
+    const [mantissa, exponent = 0] = String(value).split('e');
+    const fraction = mantissa.split('.')[1] || '';
+    return Math.max(fraction.length - exponent, 0)
+}
+
+/**
+ * Rounds a number to the given decimal places. Shifts the decimal point in the string
+ * representation instead of multiplying, so that e.g. 1.005 is rounded to 1.01 and 0.1 + 0.2 to 0.3.
+ *
+ * @param {number} value
+ * @param {number} precision - The number of decimal places.
+ * @returns {number} The rounded number.
+ */
+export function round(value, precision) {
+    const [mantissa, exponent = 0] = String(value).split('e');
+    const shifted = String(Math.round(`${mantissa}e${+exponent + precision}`)).split('e');
+    return Number(`${shifted[0]}e${(+shifted[1] || 0) - precision}`)
+}
+
+/**
+ * Restricts a value to an interval and snaps it to the nearest step from the minimum. The
+ * number of steps is rounded before it is rounded to an integer, because e.g. 0.3 / 0.1 is
+ * 2.9999999999999996 and 0.15 / 0.1 is 1.4999999999999998.
+ *
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @param {number} step - The step, 0 for no snapping.
+ * @param {number} precision - The number of decimal places of the snapped value.
+ * @returns {number} The snapped value.
+ */
+export function snap(value, min, max, step, precision) {
+    value = clamp(value, min, max);
+
+    if (!step) {
+        return value
+    }
+
+    const snapped = round(min + Math.round(round((value - min) / step, 10)) * step, precision);
+    return snapped > max ? round(snapped - step, precision) : snapped
+}
+
+/**
+ * Gets the id of the pointer of an event.
+ *
+ * @param {PIXI.InteractionEvent|Event} e
+ * @returns {number} The id of the pointer or null, if the event has no pointer (e.g. a mouse event).
+ */
+export function pointerIdOf(e) {
+    if (e && e.data) {
+        return e.data.pointerId
+    }
+    return e && e.pointerId !== undefined ? e.pointerId : null
+}